@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Conversations" ADD COLUMN "accountId" TEXT;
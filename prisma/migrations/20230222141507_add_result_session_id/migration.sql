@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Result" ADD COLUMN "sessionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Result_sessionId_idx" ON "Result"("sessionId");
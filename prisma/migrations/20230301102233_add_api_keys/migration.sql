@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "ApiKey" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "name" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "requestsPerMinute" INTEGER,
+    "dailyMessages" INTEGER,
+    "disabled" BOOLEAN NOT NULL DEFAULT false,
+    "lastUsedAt" DATETIME
+);
+
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Result" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "request" TEXT NOT NULL,
+    "response" TEXT NOT NULL,
+    "conversationsId" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "responseTime" INTEGER NOT NULL DEFAULT 0,
+    "sessionId" TEXT,
+    "apiKeyId" INTEGER,
+    CONSTRAINT "Result_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "ApiKey" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Result" ("conversationsId", "createdAt", "id", "messageId", "request", "response", "responseTime", "sessionId", "updatedAt") SELECT "conversationsId", "createdAt", "id", "messageId", "request", "response", "responseTime", "sessionId", "updatedAt" FROM "Result";
+DROP TABLE "Result";
+ALTER TABLE "new_Result" RENAME TO "Result";
+CREATE INDEX "Result_sessionId_idx" ON "Result"("sessionId");
+CREATE INDEX "Result_apiKeyId_createdAt_idx" ON "Result"("apiKeyId", "createdAt");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_keyHash_key" ON "ApiKey"("keyHash");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastStatus" INTEGER,
+    "lastError" TEXT,
+    "deliveredAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_messageId_idx" ON "WebhookDelivery"("messageId");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_status_idx" ON "WebhookDelivery"("status");
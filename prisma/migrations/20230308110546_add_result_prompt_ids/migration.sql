@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Result" ADD COLUMN "action" TEXT NOT NULL DEFAULT 'next';
+ALTER TABLE "Result" ADD COLUMN "parentMessageId" TEXT;
+ALTER TABLE "Result" ADD COLUMN "promptMessageId" TEXT;
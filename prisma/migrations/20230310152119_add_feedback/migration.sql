@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Result" ADD COLUMN "accountId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Feedback" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "resultId" INTEGER NOT NULL,
+    "rating" TEXT NOT NULL,
+    "tags" TEXT NOT NULL DEFAULT '',
+    "text" TEXT,
+    "forwardedAt" DATETIME,
+    "forwardError" TEXT,
+    CONSTRAINT "Feedback_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "Result" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Feedback_resultId_key" ON "Feedback"("resultId");
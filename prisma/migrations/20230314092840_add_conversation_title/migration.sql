@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Conversations" ADD COLUMN "active" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Conversations" ADD COLUMN "title" TEXT;
+
+-- Sessions keep continuing their latest conversation
+UPDATE "Conversations" SET "active" = true WHERE "id" IN (
+    SELECT MAX("id") FROM "Conversations" AS "c"
+    WHERE "updatedAt" = (
+        SELECT MAX("updatedAt") FROM "Conversations" WHERE "sessionId" = "c"."sessionId"
+    )
+    GROUP BY "sessionId"
+);
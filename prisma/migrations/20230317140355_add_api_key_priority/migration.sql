@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ApiKey" ADD COLUMN "priority" TEXT NOT NULL DEFAULT 'interactive';
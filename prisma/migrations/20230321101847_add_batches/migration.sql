@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "Batch" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "total" INTEGER NOT NULL,
+    "apiKeyId" INTEGER,
+    "finishedAt" DATETIME,
+    CONSTRAINT "Batch_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "ApiKey" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "BatchItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "batchId" TEXT NOT NULL,
+    "index" INTEGER NOT NULL,
+    "customId" TEXT,
+    "message" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "response" TEXT,
+    "error" TEXT,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME,
+    CONSTRAINT "BatchItem_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "Batch" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Batch_status_idx" ON "Batch"("status");
+
+-- CreateIndex
+CREATE INDEX "BatchItem_batchId_status_idx" ON "BatchItem"("batchId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BatchItem_batchId_index_key" ON "BatchItem"("batchId", "index");
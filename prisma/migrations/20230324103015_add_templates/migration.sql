@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "Template" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "content" TEXT NOT NULL,
+    "defaults" TEXT NOT NULL DEFAULT '{}'
+);
+
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Result" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "request" TEXT NOT NULL,
+    "response" TEXT NOT NULL,
+    "conversationsId" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "responseTime" INTEGER NOT NULL DEFAULT 0,
+    "sessionId" TEXT,
+    "promptMessageId" TEXT,
+    "parentMessageId" TEXT,
+    "action" TEXT NOT NULL DEFAULT 'next',
+    "accountId" TEXT,
+    "apiKeyId" INTEGER,
+    "templateId" INTEGER,
+    CONSTRAINT "Result_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "ApiKey" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Result_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "Template" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Result" ("accountId", "action", "apiKeyId", "conversationsId", "createdAt", "id", "messageId", "parentMessageId", "promptMessageId", "request", "response", "responseTime", "sessionId", "updatedAt") SELECT "accountId", "action", "apiKeyId", "conversationsId", "createdAt", "id", "messageId", "parentMessageId", "promptMessageId", "request", "response", "responseTime", "sessionId", "updatedAt" FROM "Result";
+DROP TABLE "Result";
+ALTER TABLE "new_Result" RENAME TO "Result";
+CREATE INDEX "Result_sessionId_idx" ON "Result"("sessionId");
+CREATE INDEX "Result_apiKeyId_createdAt_idx" ON "Result"("apiKeyId", "createdAt");
+CREATE INDEX "Result_templateId_idx" ON "Result"("templateId");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Template_name_key" ON "Template"("name");
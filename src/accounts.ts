@@ -0,0 +1,425 @@
+import { ChatGPTError } from "./chatgpt";
+import { Queue } from "async-await-queue";
+import { AccountConfig, getProvider, isAbortError, ProviderName } from "./lib";
+import { logger } from "./logger";
+import { createProvider, Provider } from "./providers";
+
+// how long an account is skipped after it failed
+const UNHEALTHY_COOLDOWN = 60 * 1000;
+// same as the queue, ChatGPT answers one message at a time
+const MAX_CONCURRENT = 1;
+// interactive jobs which may go first in a row while batch jobs wait
+const INTERACTIVE_BURST = Number(process.env.INTERACTIVE_BURST) || 4;
+// how long a credential rotation waits for the running jobs of the account
+const DRAIN_TIMEOUT = 5 * 60 * 1000;
+
+export type Priority = "interactive" | "batch";
+export const PRIORITIES: Priority[] = ["interactive", "batch"];
+
+export interface Job {
+  id: string;
+  messageId?: string;
+  sessionId?: string;
+  priority: Priority;
+  // correlation id of the request which sent it
+  requestId?: string;
+  enqueuedAt: number;
+  startedAt?: number;
+  // resolves waitForTurn
+  admit?: () => void;
+}
+
+export interface Account {
+  id: string;
+  config: AccountConfig;
+  // unset while the account failed to start
+  api?: Provider;
+  // ChatGPT (not plus) is limited to 1 request one time.
+  queue: Queue<string>;
+  // jobs waiting for a slot in the queue, oldest first
+  waiting: Job[];
+  // waiting job which was given the next slot
+  admitted?: Job;
+  // interactive jobs admitted in a row while batch jobs were waiting
+  interactiveStreak: number;
+  // jobs holding a slot
+  running: Job[];
+  // set while the credentials are replaced, no new job is admitted
+  draining?: boolean;
+  // resolves rotateAccount's wait once the running jobs are done
+  drained?: () => void;
+  healthy: boolean;
+  // an unhealthy account is tried again after this time
+  retryAt: number;
+  // result of the latest getIsAuthenticated() check
+  authenticated?: boolean;
+  checkedAt?: number;
+  // consecutive watchdog runs which could not restore the session
+  failedChecks: number;
+  lastSuccessAt?: number;
+  // session restores by the watchdog
+  sessionRefreshes: number;
+  sessionResets: number;
+}
+
+const accounts: Account[] = [];
+
+// Accounts are started one after another, browsers are heavy. Accounts which
+// fail to start are kept as unhealthy so their sessions report a clear error.
+export const initAccounts = async (configs: AccountConfig[]) => {
+  for (const config of configs) {
+    const account: Account = {
+      id: config.id,
+      config,
+      queue: new Queue(1, 100),
+      waiting: [],
+      interactiveStreak: 0,
+      running: [],
+      healthy: true,
+      retryAt: 0,
+      failedChecks: 0,
+      sessionRefreshes: 0,
+      sessionResets: 0,
+    };
+    try {
+      account.api = await createProvider(config);
+      logger.info("Started chatgpt", { account: config.id });
+    } catch (e) {
+      logger.error("Starting chatgpt failed", { account: config.id, error: e });
+      account.healthy = false;
+      account.retryAt = Infinity;
+    }
+    accounts.push(account);
+  }
+  if (!accounts.some((account) => account.api)) {
+    throw new Error("No ChatGPT account could be started");
+  }
+};
+
+export const getAccounts = () => accounts;
+
+// The account failed to start, or lost its session in a failed rotation.
+export const accountUnavailableError = (account: Account) => {
+  const error = new Error(
+    `Account ${account.id} is not started, its conversations can't continue`
+  );
+  error.name = "AccountUnavailableError";
+  return error;
+};
+
+export const isAccountUnavailableError = (e: unknown): e is Error =>
+  e instanceof Error && e.name === "AccountUnavailableError";
+
+export const getAccount = (id: string) =>
+  accounts.find((account) => account.id === id);
+
+export const isAvailable = (account: Account) =>
+  !!account.api &&
+  !account.draining &&
+  (account.healthy || Date.now() >= account.retryAt);
+
+export const getAccountProvider = (account: Account) =>
+  getProvider(account.config.authMode);
+
+// Picks the least loaded healthy account, if every account is unhealthy the
+// least loaded started one is used anyway rather than failing outright.
+// `providers` limits the accounts to these providers, in order of preference:
+// the next provider only gets messages while no account of the ones before it
+// is healthy.
+export const pickAccount = (providers?: ProviderName[]): Account => {
+  const allowed = providers
+    ? accounts.filter((account) =>
+        providers.includes(getAccountProvider(account))
+      )
+    : accounts;
+  const available = allowed.filter(isAvailable);
+  const preferred = providers
+    ? providers
+        .map((provider) =>
+          available.filter(
+            (account) => getAccountProvider(account) === provider
+          )
+        )
+        .find((group) => group.length)
+    : available;
+  const candidates = preferred?.length
+    ? preferred
+    : allowed.filter((account) => account.api);
+  if (candidates.length === 0) {
+    throw new Error(
+      providers
+        ? `No ${providers.join(" or ")} account available`
+        : "No ChatGPT account available"
+    );
+  }
+  return candidates.reduce((best, account) =>
+    getLoad(account) < getLoad(best) ? account : best
+  );
+};
+
+export const getLoad = (account: Account) =>
+  account.waiting.length + account.running.length;
+
+export const enqueueJob = (account: Account, job: Job) => {
+  account.waiting.push(job);
+};
+
+// Order in which the waiting jobs will be admitted: interactive jobs first,
+// but after INTERACTIVE_BURST of them in a row the oldest batch job goes, so
+// that batch jobs keep getting a share of the slots.
+export const getWaitingOrder = (account: Account) => {
+  const waiting = account.waiting.filter((job) => job !== account.admitted);
+  const interactive = waiting.filter((job) => job.priority !== "batch");
+  const batch = waiting.filter((job) => job.priority === "batch");
+  const order: Job[] = [];
+  let streak = account.interactiveStreak;
+  while (interactive.length || batch.length) {
+    if (batch.length && (!interactive.length || streak >= INTERACTIVE_BURST)) {
+      order.push(batch.shift()!);
+      streak = 0;
+    } else {
+      order.push(interactive.shift()!);
+      streak = batch.length ? streak + 1 : 0;
+    }
+  }
+  return order;
+};
+
+// Hands the next free slot to the first job in order, the queue itself only
+// ever sees the admitted job.
+const dispatch = (account: Account) => {
+  if (
+    account.draining ||
+    account.admitted ||
+    account.running.length >= MAX_CONCURRENT
+  ) {
+    return;
+  }
+  const [next] = getWaitingOrder(account);
+  if (!next) {
+    return;
+  }
+  const batchWaiting = account.waiting.some(
+    (job) => job !== next && job.priority === "batch"
+  );
+  account.interactiveStreak =
+    next.priority === "batch" || !batchWaiting
+      ? 0
+      : account.interactiveStreak + 1;
+  account.admitted = next;
+  next.admit?.();
+};
+
+// Resolves once it is the job's turn to wait for the queue slot.
+export const waitForTurn = (account: Account, job: Job) =>
+  new Promise<void>((resolve) => {
+    // admitted between enqueueJob and now
+    if (account.admitted === job) {
+      return resolve();
+    }
+    job.admit = resolve;
+    dispatch(account);
+  });
+
+export const startJob = (account: Account, job: Job) => {
+  account.waiting = account.waiting.filter((waiting) => waiting !== job);
+  if (account.admitted === job) {
+    account.admitted = undefined;
+  }
+  job.startedAt = Date.now();
+  account.running.push(job);
+};
+
+export const removeJob = (account: Account, job: Job) => {
+  account.waiting = account.waiting.filter((waiting) => waiting !== job);
+  account.running = account.running.filter((running) => running !== job);
+  if (account.admitted === job) {
+    account.admitted = undefined;
+  }
+  if (account.drained && isIdle(account)) {
+    account.drained();
+  }
+  dispatch(account);
+};
+
+const isIdle = (account: Account) =>
+  !account.running.length && !account.admitted;
+
+const waitForDrain = (account: Account, timeout: number) =>
+  new Promise<boolean>((resolve) => {
+    if (isIdle(account)) {
+      return resolve(true);
+    }
+    const timer = setTimeout(() => {
+      account.drained = undefined;
+      resolve(false);
+    }, timeout);
+    account.drained = () => {
+      clearTimeout(timer);
+      account.drained = undefined;
+      resolve(true);
+    };
+  });
+
+const closeAPI = async (account: Account, api: Provider) => {
+  try {
+    await api.closeSession();
+  } catch (e) {
+    logger.error("Closing the session failed", {
+      account: account.id,
+      error: e,
+    });
+  }
+};
+
+const rotations = new Set<Account>();
+
+export const isRotating = (account: Account) => rotations.has(account);
+
+// The new client is started while the old one keeps serving, then no job is
+// admitted until the running ones are done and the old session is closed.
+// Waiting jobs stay queued and run on the new client. If the new client can't
+// start or the jobs don't finish in time the account keeps its old client.
+const drainTimeoutError = (account: Account, drainTimeout: number) => {
+  const error = new Error(
+    `Running jobs of ${account.id} didn't finish within ${
+      drainTimeout / 1000
+    }s, the old credentials are kept`
+  );
+  error.name = "DrainTimeoutError";
+  return error;
+};
+
+export const isDrainTimeoutError = (e: unknown): e is Error =>
+  e instanceof Error && e.name === "DrainTimeoutError";
+
+export const rotateAccount = async (
+  account: Account,
+  config: AccountConfig,
+  drainTimeout = DRAIN_TIMEOUT
+) => {
+  if (rotations.has(account)) {
+    throw new Error(`Account ${account.id} is already being rotated`);
+  }
+  rotations.add(account);
+  try {
+    // a browser can't open the profile directory the old one still holds, it
+    // is only started after the old one is closed
+    const sharedProfile =
+      !!account.api &&
+      account.config.authMode === "browser" &&
+      config.authMode === "browser" &&
+      !!config.userDataDir &&
+      config.userDataDir === account.config.userDataDir;
+    const api = sharedProfile ? undefined : await createProvider(config);
+    account.draining = true;
+    if (!(await waitForDrain(account, drainTimeout))) {
+      if (api) {
+        await closeAPI(account, api);
+      }
+      throw drainTimeoutError(account, drainTimeout);
+    }
+    if (account.api) {
+      await closeAPI(account, account.api);
+    }
+    account.config = config;
+    try {
+      account.api = api || (await createProvider(config));
+    } catch (e) {
+      // the old session is gone, the account stays down until the next rotation
+      account.api = undefined;
+      account.healthy = false;
+      account.retryAt = Infinity;
+      throw e;
+    }
+    markHealthy(account);
+    logger.info("Switched to the new credentials", { account: account.id });
+  } finally {
+    account.draining = false;
+    rotations.delete(account);
+    dispatch(account);
+  }
+};
+
+export const findJob = (messageId: string) => {
+  for (const account of accounts) {
+    const job = [...account.running, ...account.waiting].find(
+      (job) => job.messageId === messageId
+    );
+    if (job) {
+      return { account, job };
+    }
+  }
+};
+
+// 1 based position of a waiting job, 0 once it is running.
+export const getQueuePosition = (account: Account, job: Job) => {
+  if (!account.waiting.includes(job)) {
+    return 0;
+  }
+  if (account.admitted === job) {
+    return 1;
+  }
+  return getWaitingOrder(account).indexOf(job) + (account.admitted ? 2 : 1);
+};
+
+// Position a new job of the lane would get.
+export const getNewJobPosition = (account: Account, priority: Priority) => {
+  const job: Job = { id: "", priority, enqueuedAt: Date.now() };
+  return getQueuePosition(
+    { ...account, waiting: [...account.waiting, job] },
+    job
+  );
+};
+
+// Time until a job at `position` (1 based, `waiting.length + 1` for a new job)
+// starts, assuming every job takes the average response time.
+export const estimateWait = (
+  account: Account,
+  position: number,
+  averageResponseTime: number
+) => {
+  const now = Date.now();
+  const running = account.running.reduce(
+    (total, job) =>
+      total + Math.max(averageResponseTime - (now - (job.startedAt || now)), 0),
+    0
+  );
+  return Math.round(running + (position - 1) * averageResponseTime);
+};
+
+export const markHealthy = (account: Account) => {
+  account.healthy = true;
+  account.retryAt = 0;
+  account.authenticated = true;
+  account.failedChecks = 0;
+};
+
+export const markSuccess = (account: Account) => {
+  markHealthy(account);
+  account.lastSuccessAt = Date.now();
+};
+
+export const markUnhealthy = (
+  account: Account,
+  cooldown = UNHEALTHY_COOLDOWN
+) => {
+  logger.warn("Account marked unhealthy", { account: account.id });
+  account.healthy = false;
+  account.retryAt = Date.now() + cooldown;
+};
+
+// Auth, rate limit and upstream failures mean the account itself is in
+// trouble, other errors (e.g. a bad prompt, an abort, a timeout or a local
+// exception) don't affect routing.
+export const markFailure = (account: Account, error: ChatGPTError) => {
+  const statusCode = error?.statusCode;
+  if (
+    isAbortError(error) ||
+    !statusCode ||
+    (![401, 403, 429].includes(statusCode) && statusCode < 500)
+  ) {
+    return;
+  }
+  markUnhealthy(account);
+};
@@ -0,0 +1,353 @@
+import express from "express";
+import { ApiKey, Prisma } from "@prisma/client";
+import { prisma } from "./db";
+import { logger } from "./logger";
+import { generateKey, getDailyUsage, hashKey, requireAdmin } from "./auth";
+import {
+  Account,
+  getAccount,
+  getAccountProvider,
+  getAccounts,
+  isAvailable,
+  isDrainTimeoutError,
+  isRotating,
+  Priority,
+  PRIORITIES,
+  rotateAccount,
+} from "./accounts";
+import {
+  AccountConfig,
+  AuthMode,
+  AUTH_MODES,
+  getMissingCredentials,
+} from "./lib";
+
+// Account settings which can be replaced at runtime, null clears a value.
+const CREDENTIAL_FIELDS = [
+  "email",
+  "password",
+  "sessionToken",
+  "accessToken",
+  "openaiApiKey",
+  "openaiModel",
+  "openaiApiUrl",
+  "proxyServer",
+  "reverseProxyUrl",
+] as const;
+
+// null lifts the limit, undefined leaves it alone
+const parseLimit = (value: unknown) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`Invalid limit: ${value}`);
+  }
+  return limit;
+};
+
+// undefined leaves the lane alone
+const parsePriority = (value: unknown) => {
+  if (value !== undefined && !PRIORITIES.includes(value as Priority)) {
+    throw new Error(`priority must be one of ${PRIORITIES.join(", ")}`);
+  }
+  return value as Priority | undefined;
+};
+
+// The new config of the account, the id stays the same so that the sessions
+// it owns keep working.
+const parseCredentials = (
+  account: Account,
+  body: Record<string, unknown>
+): AccountConfig => {
+  const config: AccountConfig = { ...account.config };
+  let changed = false;
+  for (const field of CREDENTIAL_FIELDS) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && (typeof value !== "string" || !value)) {
+      throw new Error(`${field} must be a non-empty string or null`);
+    }
+    config[field] = value ?? undefined;
+    changed = true;
+  }
+  if (body.authMode !== undefined) {
+    if (!AUTH_MODES.includes(body.authMode as AuthMode)) {
+      throw new Error(`authMode must be one of ${AUTH_MODES.join(", ")}`);
+    }
+    config.authMode = body.authMode as AuthMode;
+    changed = true;
+  }
+  if (!changed) {
+    throw new Error(
+      `Nothing to change, set authMode or ${CREDENTIAL_FIELDS.join(", ")}`
+    );
+  }
+  const missing = getMissingCredentials(config);
+  if (missing.length) {
+    throw new Error(
+      `authMode ${config.authMode} needs ${missing.join(" and ")}`
+    );
+  }
+  return config;
+};
+
+// Secrets are never returned, only whether they are set.
+const toAccountJSON = (account: Account) => ({
+  id: account.id,
+  authMode: account.config.authMode,
+  provider: getAccountProvider(account),
+  email: account.config.email ?? null,
+  hasPassword: !!account.config.password,
+  hasSessionToken: !!account.config.sessionToken,
+  hasAccessToken: !!account.config.accessToken,
+  hasOpenaiApiKey: !!account.config.openaiApiKey,
+  openaiModel: account.config.openaiModel ?? null,
+  proxyServer: account.config.proxyServer ?? null,
+  reverseProxyUrl: account.config.reverseProxyUrl ?? null,
+  started: !!account.api,
+  healthy: isAvailable(account),
+  rotating: isRotating(account),
+  // watchdog state, /healthz and /readyz only report counts
+  authenticated: account.authenticated ?? null,
+  checkedAt: account.checkedAt ? new Date(account.checkedAt) : null,
+  failedChecks: account.failedChecks,
+  lastSuccessAt: account.lastSuccessAt ? new Date(account.lastSuccessAt) : null,
+  queue: {
+    depth: account.waiting.length,
+    running: account.running.length,
+  },
+});
+
+// update and delete fail with P2025 when the record doesn't exist
+const isNotFoundError = (e: unknown) =>
+  e instanceof Prisma.PrismaClientKnownRequestError && e.code === "P2025";
+
+const toApiKeyJSON = (apiKey: ApiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  requestsPerMinute: apiKey.requestsPerMinute,
+  dailyMessages: apiKey.dailyMessages,
+  priority: apiKey.priority,
+  disabled: apiKey.disabled,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+});
+
+export const createAdminRouter = (adminToken?: string) => {
+  const router = express.Router();
+  if (!adminToken) {
+    router.use((req, res) => {
+      return res.status(404).json({
+        message: "Set ADMIN_TOKEN to enable the admin API",
+      });
+    });
+    return router;
+  }
+  router.use(requireAdmin(adminToken));
+  router.get(`/keys`, async (req, res) => {
+    try {
+      const apiKeys = await prisma.apiKey.findMany({
+        orderBy: {
+          id: "asc",
+        },
+      });
+      return res.json({
+        keys: await Promise.all(
+          apiKeys.map(async (apiKey) => ({
+            ...toApiKeyJSON(apiKey),
+            messagesToday: await getDailyUsage(apiKey.id),
+          }))
+        ),
+      });
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  });
+  // The key is only returned here, the database keeps its hash.
+  router.post(`/keys`, async (req, res) => {
+    let requestsPerMinute, dailyMessages, priority;
+    try {
+      requestsPerMinute = parseLimit(req.body.requestsPerMinute);
+      dailyMessages = parseLimit(req.body.dailyMessages);
+      priority = parsePriority(req.body.priority);
+    } catch (e) {
+      return res.status(400).json({
+        message: `${e}`,
+      });
+    }
+    const { name } = req.body;
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({
+        message: "name is required",
+      });
+    }
+    try {
+      const key = generateKey();
+      const apiKey = await prisma.apiKey.create({
+        data: {
+          name,
+          keyHash: hashKey(key),
+          prefix: key.slice(0, 7),
+          requestsPerMinute,
+          dailyMessages,
+          priority,
+        },
+      });
+      logger.info("API key created", { id: apiKey.id, name });
+      return res.status(201).json({
+        ...toApiKeyJSON(apiKey),
+        key,
+      });
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  });
+  router.patch(`/keys/:id`, async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    let requestsPerMinute, dailyMessages, priority;
+    try {
+      requestsPerMinute = parseLimit(req.body.requestsPerMinute);
+      dailyMessages = parseLimit(req.body.dailyMessages);
+      priority = parsePriority(req.body.priority);
+    } catch (e) {
+      return res.status(400).json({
+        message: `${e}`,
+      });
+    }
+    const { name, disabled } = req.body;
+    try {
+      const apiKey = await prisma.apiKey.update({
+        where: {
+          id,
+        },
+        data: {
+          name: typeof name === "string" ? name : undefined,
+          disabled: typeof disabled === "boolean" ? disabled : undefined,
+          requestsPerMinute,
+          dailyMessages,
+          priority,
+        },
+      });
+      return res.json(toApiKeyJSON(apiKey));
+    } catch (e) {
+      if (isNotFoundError(e)) {
+        return res.status(404).json({
+          message: "Not found",
+        });
+      }
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  });
+  // Messages sent with the key are kept, they just lose the link.
+  router.delete(`/keys/:id`, async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    try {
+      await prisma.apiKey.delete({
+        where: {
+          id,
+        },
+      });
+      return res.json({
+        message: "Deleted",
+      });
+    } catch (e) {
+      if (isNotFoundError(e)) {
+        return res.status(404).json({
+          message: "Not found",
+        });
+      }
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  });
+  router.get(`/accounts`, async (req, res) => {
+    return res.json({
+      accounts: getAccounts().map(toAccountJSON),
+    });
+  });
+  // Replaces the credentials without a restart and answers once the account
+  // runs on the new client. Only the running process changes, the .env or
+  // config file has to be updated for the next start.
+  router.patch(`/accounts/:accountId`, async (req, res) => {
+    const account = getAccount(req.params.accountId);
+    if (!account) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    if (isRotating(account)) {
+      return res.status(409).json({
+        message: "The credentials of this account are already being replaced",
+      });
+    }
+    // seconds to wait for the running jobs
+    const { drainTimeout } = req.body;
+    if (
+      drainTimeout !== undefined &&
+      (typeof drainTimeout !== "number" || drainTimeout <= 0)
+    ) {
+      return res.status(400).json({
+        message: "drainTimeout must be a number of seconds",
+      });
+    }
+    let config;
+    try {
+      config = parseCredentials(account, req.body);
+    } catch (e) {
+      return res.status(400).json({
+        message: `${e}`,
+      });
+    }
+    try {
+      await rotateAccount(
+        account,
+        config,
+        drainTimeout ? drainTimeout * 1000 : undefined
+      );
+      return res.json(toAccountJSON(account));
+    } catch (e) {
+      // busy, it can be tried again later
+      if (isDrainTimeoutError(e)) {
+        return res.status(503).json({
+          message: e.message,
+        });
+      }
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  });
+  return router;
+};
@@ -0,0 +1,166 @@
+import { NextFunction, Request, Response } from "express";
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { ApiKey } from "@prisma/client";
+import { prisma } from "./db";
+import { logger } from "./logger";
+
+const RATE_LIMIT_WINDOW = 60 * 1000;
+// lastUsedAt is only written once per interval
+const LAST_USED_INTERVAL = 60 * 1000;
+
+export const hashKey = (key: string) =>
+  createHash("sha256").update(key).digest("hex");
+
+export const generateKey = () => `sk-${randomBytes(24).toString("hex")}`;
+
+// `Authorization: Bearer <key>` (what the OpenAI SDKs send) or `X-API-Key`.
+const getRequestKey = (req: Request) => {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  const apiKey = req.headers["x-api-key"];
+  return typeof apiKey === "string" ? apiKey : undefined;
+};
+
+const safeEqual = (a: string, b: string) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+export const requireAdmin =
+  (adminToken: string) => (req: Request, res: Response, next: NextFunction) => {
+    const key = getRequestKey(req);
+    if (!key || !safeEqual(key, adminToken)) {
+      return res.status(401).json({
+        message: "Invalid admin token",
+      });
+    }
+    next();
+  };
+
+// fixed one minute windows per key
+const windows = new Map<number, { start: number; count: number }>();
+
+const tooManyRequests = (
+  res: Response,
+  retryAfter: number,
+  message: string
+) => {
+  res.setHeader("Retry-After", Math.max(Math.ceil(retryAfter / 1000), 1));
+  return res.status(429).json({
+    message,
+  });
+};
+
+// Looks up the key of the request and enforces its requests per minute, the
+// key is available as `res.locals.apiKey` afterwards.
+export const requireApiKey = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  try {
+    const key = getRequestKey(req);
+    const apiKey = key
+      ? await prisma.apiKey.findUnique({
+          where: {
+            keyHash: hashKey(key),
+          },
+        })
+      : null;
+    if (!apiKey) {
+      return res.status(401).json({
+        message: "Invalid API key",
+      });
+    }
+    if (apiKey.disabled) {
+      return res.status(403).json({
+        message: "API key is disabled",
+      });
+    }
+    const now = Date.now();
+    if (apiKey.requestsPerMinute !== null) {
+      let window = windows.get(apiKey.id);
+      if (!window || now - window.start >= RATE_LIMIT_WINDOW) {
+        window = { start: now, count: 0 };
+        windows.set(apiKey.id, window);
+      }
+      if (window.count >= apiKey.requestsPerMinute) {
+        return tooManyRequests(
+          res,
+          window.start + RATE_LIMIT_WINDOW - now,
+          "Rate limit exceeded"
+        );
+      }
+      window.count++;
+    }
+    if (!apiKey.lastUsedAt || now - +apiKey.lastUsedAt > LAST_USED_INTERVAL) {
+      prisma.apiKey
+        .update({
+          where: {
+            id: apiKey.id,
+          },
+          data: {
+            lastUsedAt: new Date(now),
+          },
+        })
+        .catch((e) => logger.error("Updating lastUsedAt failed", { error: e }));
+    }
+    res.locals.apiKey = apiKey;
+    next();
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+};
+
+const startOfDay = () => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Messages stored today (UTC) for the key.
+export const getDailyUsage = (apiKeyId: number) =>
+  prisma.result.count({
+    where: {
+      apiKeyId,
+      createdAt: {
+        gte: startOfDay(),
+      },
+    },
+  });
+
+// Enforces the daily message quota on routes which send messages, runs after
+// requireApiKey.
+export const requireMessageQuota = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const apiKey: ApiKey | undefined = res.locals.apiKey;
+  if (!apiKey || apiKey.dailyMessages === null) {
+    return next();
+  }
+  try {
+    if ((await getDailyUsage(apiKey.id)) >= apiKey.dailyMessages) {
+      return tooManyRequests(
+        res,
+        +startOfDay() + 24 * 60 * 60 * 1000 - Date.now(),
+        "Daily message quota exceeded"
+      );
+    }
+    next();
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+};
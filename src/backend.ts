@@ -0,0 +1,47 @@
+import { Account } from "./accounts";
+
+const BACKEND_API_URL = "https://chat.openai.com/backend-api";
+
+// POSTs to the ChatGPT backend API from the page of a ChatGPTAPIBrowser
+// account, requests have to come from there to get past Cloudflare just like
+// ChatGPTAPIBrowser.sendMessage.
+export const postFromPage = async <T>(
+  account: Account,
+  path: string,
+  body: unknown
+): Promise<T> => {
+  if (!account.api) {
+    throw new Error(`Account ${account.id} is not started`);
+  }
+  // @ts-ignore
+  const { _page: page, _accessToken: accessToken } = account.api;
+  const result: { status: number; statusText: string; data?: T } =
+    await page.evaluate(
+      async (url: string, accessToken: string, body: unknown) => {
+        // runs in the browser, which has fetch
+        // @ts-ignore
+        const res = await fetch(url, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        });
+        return {
+          status: res.status,
+          statusText: res.statusText,
+          data: res.ok ? await res.json() : undefined,
+        };
+      },
+      `${BACKEND_API_URL}${path}`,
+      accessToken,
+      body
+    );
+  if (result.status < 200 || result.status >= 300) {
+    throw new Error(
+      `ChatGPT ${path} returned ${result.status} ${result.statusText}`
+    );
+  }
+  return result.data as T;
+};
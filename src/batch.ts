@@ -0,0 +1,378 @@
+import { randomUUID } from "crypto";
+import { Response } from "express";
+import { ChatResponse } from "./chatgpt";
+import { prisma } from "./db";
+import { getAccounts, Priority } from "./accounts";
+import { logger } from "./logger";
+
+export const MAX_BATCH_ITEMS = 10000;
+// results are read from the database in pages of this size
+const RESULTS_PAGE = 500;
+
+export interface BatchItemInput {
+  message: string;
+  sessionId?: string;
+  customId?: string;
+}
+
+// sendMesasge, passed in by src/index.ts
+export type SendBatchItem = (
+  message: string,
+  sessionId: string | undefined,
+  options: { apiKeyId?: number; priority: Priority; requestId: string }
+) => Promise<ChatResponse>;
+
+// Batches running in this process
+const runningBatches = new Set<string>();
+
+// Accepts plain prompts or `{ message, sessionId?, customId? }` objects.
+export const parseBatchItems = (items: unknown): BatchItemInput[] => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("items must be a non-empty array");
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new Error(`A batch can hold at most ${MAX_BATCH_ITEMS} items`);
+  }
+  return items.map((item, index) => {
+    const { message, sessionId, customId } = (
+      typeof item === "string" ? { message: item } : item || {}
+    ) as Record<string, unknown>;
+    if (!message || typeof message !== "string") {
+      throw new Error(`items[${index}].message is required`);
+    }
+    for (const [name, value] of Object.entries({ sessionId, customId })) {
+      if (value !== undefined && value !== null && typeof value !== "string") {
+        throw new Error(`items[${index}].${name} must be a string`);
+      }
+    }
+    return {
+      message,
+      sessionId: (sessionId as string) || undefined,
+      customId: (customId as string) || undefined,
+    };
+  });
+};
+
+// One item per line, blank lines are skipped.
+export const parseBatchJSONL = (text: string) =>
+  text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Line ${index + 1} is not valid JSON`);
+      }
+    });
+
+export const createBatch = async (
+  items: BatchItemInput[],
+  apiKeyId?: number
+) => {
+  const id = randomUUID();
+  await prisma.$transaction([
+    prisma.batch.create({
+      data: {
+        id,
+        total: items.length,
+        apiKeyId,
+      },
+    }),
+    // SQLite doesn't support createMany
+    ...items.map((item, index) =>
+      prisma.batchItem.create({
+        data: {
+          ...item,
+          batchId: id,
+          index,
+        },
+      })
+    ),
+  ]);
+  return id;
+};
+
+const finishBatch = async (batchId: string) => {
+  const { status } = await prisma.batch.findUniqueOrThrow({
+    where: {
+      id: batchId,
+    },
+  });
+  if (status !== "running") {
+    return;
+  }
+  await prisma.batch.update({
+    where: {
+      id: batchId,
+    },
+    data: {
+      status: "done",
+      finishedAt: new Date(),
+    },
+  });
+  logger.info("Batch done", { batchId });
+};
+
+// Works through the pending items with a few workers, enough to keep every
+// account busy. Items of one session run one after another in upload order,
+// they continue the same conversation.
+const runWorkers = async (batchId: string, send: SendBatchItem) => {
+  const batch = await prisma.batch.findUniqueOrThrow({
+    where: {
+      id: batchId,
+    },
+  });
+  const busySessions = new Set<string>();
+  // claims are made one at a time so that two workers never take items of
+  // the same session
+  let claiming = Promise.resolve();
+  const claimNext = async () => {
+    const { status } = await prisma.batch.findUniqueOrThrow({
+      where: {
+        id: batchId,
+      },
+    });
+    if (status !== "running") {
+      return null;
+    }
+    const item = await prisma.batchItem.findFirst({
+      where: {
+        batchId,
+        status: "pending",
+        OR: [
+          {
+            sessionId: null,
+          },
+          {
+            sessionId: {
+              notIn: [...busySessions],
+            },
+          },
+        ],
+      },
+      orderBy: {
+        index: "asc",
+      },
+    });
+    if (!item) {
+      return null;
+    }
+    if (item.sessionId) {
+      busySessions.add(item.sessionId);
+    }
+    return prisma.batchItem.update({
+      where: {
+        id: item.id,
+      },
+      data: {
+        status: "running",
+        startedAt: new Date(),
+      },
+    });
+  };
+  const claim = () => {
+    const next = claiming.then(claimNext);
+    claiming = next.then(
+      () => undefined,
+      () => undefined
+    );
+    return next;
+  };
+  const worker = async () => {
+    let item;
+    while ((item = await claim())) {
+      try {
+        const response = await send(item.message, item.sessionId || undefined, {
+          apiKeyId: batch.apiKeyId ?? undefined,
+          priority: "batch",
+          // every item gets its own id in the logs
+          requestId: `${batchId}:${item.index}`,
+        });
+        await prisma.batchItem.update({
+          where: {
+            id: item.id,
+          },
+          data: {
+            status: "done",
+            response: response.response,
+            conversationId: response.conversationId,
+            messageId: response.messageId,
+            finishedAt: new Date(),
+          },
+        });
+      } catch (e) {
+        const { index } = item;
+        // the item stays running until a restart resumes it, the other items
+        // go on
+        await prisma.batchItem
+          .update({
+            where: {
+              id: item.id,
+            },
+            data: {
+              status: "error",
+              error: `${e}`,
+              finishedAt: new Date(),
+            },
+          })
+          .catch((error) =>
+            logger.error("Storing the batch item failed", {
+              batchId,
+              index,
+              error,
+            })
+          );
+      } finally {
+        if (item.sessionId) {
+          busySessions.delete(item.sessionId);
+        }
+      }
+    }
+  };
+  const workers =
+    Number(process.env.BATCH_CONCURRENCY) || getAccounts().length + 1;
+  await Promise.all(Array.from({ length: workers }, worker));
+};
+
+export const runBatch = async (batchId: string, send: SendBatchItem) => {
+  if (runningBatches.has(batchId)) {
+    return;
+  }
+  runningBatches.add(batchId);
+  try {
+    await runWorkers(batchId, send);
+    await finishBatch(batchId);
+  } finally {
+    runningBatches.delete(batchId);
+  }
+};
+
+// Items which were running when the server stopped are sent again.
+export const resumeBatches = async (send: SendBatchItem) => {
+  const batches = await prisma.batch.findMany({
+    where: {
+      status: "running",
+    },
+  });
+  for (const batch of batches) {
+    await prisma.batchItem.updateMany({
+      where: {
+        batchId: batch.id,
+        status: "running",
+      },
+      data: {
+        status: "pending",
+        startedAt: null,
+      },
+    });
+    logger.info("Resuming batch", { batchId: batch.id });
+    runBatch(batch.id, send).catch((e) =>
+      logger.error("Batch failed", { batchId: batch.id, error: e })
+    );
+  }
+};
+
+// With `apiKeyId` only a batch the key created is found.
+export const getBatchProgress = async (batchId: string, apiKeyId?: number) => {
+  const batch = await prisma.batch.findFirst({
+    where: {
+      id: batchId,
+      apiKeyId,
+    },
+  });
+  if (!batch) {
+    return null;
+  }
+  const counts = await prisma.batchItem.groupBy({
+    by: ["status"],
+    where: {
+      batchId,
+    },
+    _count: {
+      _all: true,
+    },
+  });
+  const count = (status: string) =>
+    counts.find((count) => count.status === status)?._count._all || 0;
+  return {
+    id: batch.id,
+    status: batch.status,
+    total: batch.total,
+    pending: count("pending"),
+    running: count("running"),
+    done: count("done"),
+    error: count("error"),
+    cancelled: count("cancelled"),
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+  };
+};
+
+// Items which haven't started are cancelled, running ones still finish.
+export const cancelBatch = async (batchId: string) => {
+  const { count } = await prisma.batch.updateMany({
+    where: {
+      id: batchId,
+      status: "running",
+    },
+    data: {
+      status: "cancelled",
+      finishedAt: new Date(),
+    },
+  });
+  if (count) {
+    await prisma.batchItem.updateMany({
+      where: {
+        batchId,
+        status: "pending",
+      },
+      data: {
+        status: "cancelled",
+      },
+    });
+  }
+  return count > 0;
+};
+
+// One JSON line per item in upload order, written page by page so that large
+// batches aren't held in memory.
+export const writeBatchResults = async (batchId: string, res: Response) => {
+  res.type("application/x-ndjson");
+  let index = -1;
+  for (;;) {
+    const items = await prisma.batchItem.findMany({
+      where: {
+        batchId,
+        index: {
+          gt: index,
+        },
+      },
+      orderBy: {
+        index: "asc",
+      },
+      take: RESULTS_PAGE,
+    });
+    for (const item of items) {
+      res.write(
+        JSON.stringify({
+          index: item.index,
+          customId: item.customId,
+          sessionId: item.sessionId,
+          status: item.status,
+          response: item.response,
+          error: item.error,
+          conversationId: item.conversationId,
+          messageId: item.messageId,
+          startedAt: item.startedAt,
+          finishedAt: item.finishedAt,
+        }) + "\n"
+      );
+    }
+    if (items.length < RESULTS_PAGE) {
+      break;
+    }
+    index = items[items.length - 1].index;
+  }
+  res.end();
+};
@@ -0,0 +1,18 @@
+import { PrismaClient } from "@prisma/client";
+import { resolve } from "path";
+// CONFIG_FILE can set DATABASE_FILE
+import "./lib";
+
+// SQLite file shared by Prisma and the message store, DATABASE_FILE moves both
+// (the tests use their own). DATABASE_URL of prisma/schema.prisma is only for
+// the prisma CLI, src/migrate.ts sets it to the same file.
+export const DATABASE_FILE = process.env.DATABASE_FILE || "data/data.db";
+export const DATABASE_URL = `file:${resolve(DATABASE_FILE)}`;
+
+export const prisma = new PrismaClient({
+  datasources: {
+    db: {
+      url: DATABASE_URL,
+    },
+  },
+});
@@ -0,0 +1,74 @@
+import axios from "axios";
+import {
+  MessageFeedbackJSONBody,
+  MessageFeedbackRating,
+  MessageFeedbackTags,
+} from "./chatgpt";
+import { Account } from "./accounts";
+import { postFromPage } from "./backend";
+
+const RATINGS: MessageFeedbackRating[] = ["thumbsUp", "thumbsDown"];
+const TAGS: MessageFeedbackTags[] = ["harmful", "false", "not-helpful"];
+const FORWARD_TIMEOUT = 30 * 1000;
+
+export interface FeedbackInput {
+  rating: MessageFeedbackRating;
+  tags: MessageFeedbackTags[];
+  text?: string;
+}
+
+// Throws on values ChatGPT would reject.
+export const parseFeedback = (body: Record<string, unknown>): FeedbackInput => {
+  const { rating, tags = [], text } = body;
+  if (!RATINGS.includes(rating as MessageFeedbackRating)) {
+    throw new Error(`rating must be one of ${RATINGS.join(", ")}`);
+  }
+  if (
+    !Array.isArray(tags) ||
+    tags.some((tag) => !TAGS.includes(tag as MessageFeedbackTags))
+  ) {
+    throw new Error(`tags must be a list of ${TAGS.join(", ")}`);
+  }
+  if (text !== undefined && typeof text !== "string") {
+    throw new Error("text must be a string");
+  }
+  return {
+    rating: rating as MessageFeedbackRating,
+    tags: [...new Set(tags as MessageFeedbackTags[])],
+    text,
+  };
+};
+
+// Sends the feedback with the session of the account which gave the answer,
+// neither ChatGPTAPI nor ChatGPTAPIBrowser has a method for it.
+export const forwardFeedback = async (
+  account: Account,
+  body: MessageFeedbackJSONBody
+) => {
+  if (!account.api) {
+    throw new Error(`Account ${account.id} is not started`);
+  }
+  // there is no ChatGPT behind the mock to tell
+  if (account.config.authMode === "mock") {
+    return;
+  }
+  if (account.config.authMode === "apiKey") {
+    throw new Error("The official API doesn't take feedback");
+  }
+  if (account.config.authMode !== "browser") {
+    // the backend ChatGPTAPI is configured with in createProvider
+    const accessToken: string = await account.api.refreshSession();
+    await axios.post(
+      `${account.config.reverseProxyUrl}/api/conversation/message_feedback`,
+      body,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+        timeout: FORWARD_TIMEOUT,
+      }
+    );
+    return;
+  }
+  await postFromPage(account, "/conversation/message_feedback", body);
+};
@@ -1,37 +1,260 @@
-import { PrismaClient } from "@prisma/client";
-// @ts-ignore
-import { ChatGPTAPIBrowser, ChatResponse, SendMessageOptions } from "./chatgpt";
-import { loadConfig, getAccessToken } from "./lib";
+import { ChatGPTError, ChatResponse, SendMessageOptions } from "./chatgpt";
+import {
+  loadConfig,
+  Config,
+  isConfigError,
+  getAccessToken,
+  isAbortError,
+  parsePagination,
+  ProviderName,
+  PROVIDERS,
+  raceAbort,
+} from "./lib";
 import express from "express";
-import AsyncRetry from "async-retry";
-import { Queue } from "async-await-queue";
+import { Server } from "http";
+import { prisma } from "./db";
+import { ApiKey } from "@prisma/client";
 import { randomUUID } from "crypto";
-import Keyv from "keyv";
-const prisma = new PrismaClient();
-// ChatGPT (not plus) is limited to 1 request one time.
-const mesasgeQueue = new Queue(1, 100);
-const config = loadConfig();
+import {
+  abortOnClose,
+  createDeltaEmitter,
+  initEventStream,
+  sendEvent,
+  wantsEventStream,
+} from "./sse";
+import {
+  ChatCompletionRequest,
+  createCompletionId,
+  DEFAULT_MODEL,
+  messagesToPrompt,
+  toCompletion,
+  toCompletionChunk,
+  toError,
+} from "./openai";
+import {
+  Account,
+  accountUnavailableError,
+  enqueueJob,
+  estimateWait,
+  findJob,
+  getAccount,
+  getAccountProvider,
+  getAccounts,
+  getNewJobPosition,
+  getQueuePosition,
+  initAccounts,
+  isAccountUnavailableError,
+  isAvailable,
+  Job,
+  markFailure,
+  markSuccess,
+  pickAccount,
+  Priority,
+  PRIORITIES,
+  removeJob,
+  startJob,
+  waitForTurn,
+} from "./accounts";
+import { getModelName } from "./providers";
+import { parseTemplate, renderTemplate, toTemplateJSON } from "./templates";
+import {
+  CachedResponse,
+  createMessageWriter,
+  getCachedResponse,
+  getCacheKey,
+  getMessageState,
+  recoverInterruptedMessages,
+  setCachedResponse,
+  setMessageState,
+  startMessageCleanup,
+} from "./store";
+import { getAuthentication, isChecking, startWatchdog } from "./watchdog";
+import {
+  getDailyUsage,
+  requireAdmin,
+  requireApiKey,
+  requireMessageQuota,
+} from "./auth";
+import { createAdminRouter } from "./admin";
+import {
+  deliverWebhook,
+  getWebhookDeliveries,
+  checkCallbackUrl,
+  resumeWebhookDeliveries,
+} from "./webhook";
+import {
+  messageErrors,
+  queueWaitTime,
+  registry,
+  responseTime,
+} from "./metrics";
+import { forwardFeedback, parseFeedback } from "./feedback";
+import {
+  cancelBatch,
+  createBatch,
+  getBatchProgress,
+  parseBatchItems,
+  parseBatchJSONL,
+  resumeBatches,
+  runBatch,
+  SendBatchItem,
+  writeBatchResults,
+} from "./batch";
+import {
+  exportSession,
+  importSession,
+  parseJSONL,
+  parseTranscript,
+  toJSONL,
+  toMarkdown,
+  TranscriptFormat,
+  TRANSCRIPT_FORMATS,
+} from "./transcript";
+import {
+  isModerationError,
+  moderatePrompt,
+  sendModeration,
+  toModerationJSON,
+} from "./moderation";
+import {
+  addSecret,
+  captureConsole,
+  configureLogger,
+  contentFields,
+  getRequestId,
+  logger,
+  requestLogger,
+  withRequestId,
+} from "./logger";
+let config: Config;
+try {
+  config = loadConfig();
+} catch (e) {
+  // the message already lists every problem
+  if (isConfigError(e)) {
+    logger.error((e as Error).message);
+    process.exit(1);
+  }
+  throw e;
+}
+configureLogger({ level: config.logLevel, logPrompts: config.logPrompts });
+captureConsole();
+addSecret(config.adminToken);
+addSecret(config.webhookSecret);
 const app = express();
-const kv = new Keyv();
-let chatGPTAPIBrowser: ChatGPTAPIBrowser;
+// transcripts and batches are larger than the default limit, the global
+// parser skips bodies which are already parsed
+app.use(
+  [`/sessions/:sessionId/import`, `/batches`],
+  express.json({ limit: "10mb" }),
+  express.text({
+    type: ["application/x-ndjson", "application/jsonl"],
+    limit: "10mb",
+  })
+);
 app.use(express.json());
+// after the body parsers, they would lose the request id
+app.use(requestLogger);
 app.get(`/`, async (req, res) => {
   return res.json({
     message: "Hello/👋",
     name: "ChatGPT",
   });
 });
+// after this many failed watchdog runs on every account /healthz fails, so the
+// orchestrator restarts the container
+const MAX_FAILED_CHECKS = 3;
+// /readyz checks the sessions again once their last check is this old
+const READY_CHECK_AGE = 30 * 1000;
+// Only counts, the probes are public and account ids can be login emails. The
+// details per account are in GET /admin/accounts.
+const getHealth = () => {
+  const accounts = getAccounts();
+  const count = (check: (account: Account) => boolean) =>
+    accounts.filter(check).length;
+  const lastSuccessAt = Math.max(
+    0,
+    ...accounts.map((account) => account.lastSuccessAt || 0)
+  );
+  return {
+    lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt) : null,
+    queue: {
+      depth: accounts.reduce(
+        (total, account) => total + account.waiting.length,
+        0
+      ),
+      running: accounts.reduce(
+        (total, account) => total + account.running.length,
+        0
+      ),
+    },
+    accounts: {
+      total: accounts.length,
+      started: count((account) => !!account.api),
+      healthy: count(isAvailable),
+      authenticated: count((account) => !!account.authenticated),
+    },
+  };
+};
+// Liveness: fails once no account can recover its session by itself.
+app.get(`/healthz`, async (req, res) => {
+  const alive = getAccounts().some(
+    (account) => account.api && account.failedChecks < MAX_FAILED_CHECKS
+  );
+  return res.status(alive ? 200 : 503).json({
+    status: alive ? "ok" : "fail",
+    ...getHealth(),
+  });
+});
+// Readiness: at least one account is authenticated right now.
+app.get(`/readyz`, async (req, res) => {
+  await Promise.all(
+    getAccounts()
+      .filter((account) => account.api && !isChecking(account))
+      .map((account) => getAuthentication(account, READY_CHECK_AGE))
+  );
+  const ready = getAccounts().some(
+    (account) => isAvailable(account) && account.authenticated
+  );
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? "ok" : "fail",
+    ...getHealth(),
+  });
+});
+// Prometheus metrics, scraped with the admin token once one is configured
+app.get(
+  `/metrics`,
+  config.adminToken
+    ? requireAdmin(config.adminToken)
+    : (req, res, next) => next(),
+  async (req, res) => {
+    try {
+      res.setHeader("Content-Type", registry.contentType);
+      return res.send(await registry.metrics());
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).send(`${e}`);
+    }
+  }
+);
+app.use(`/admin`, createAdminRouter(config.adminToken));
+// everything below needs an API key once an admin token is configured
+if (config.adminToken) {
+  app.use(requireApiKey);
+}
 
 const getOrCreateConversationInfo = async (
   sessionId: string
-): Promise<SendMessageOptions> => {
+): Promise<SendMessageOptions & { accountId?: string | null }> => {
   const conversationInfo = await prisma.conversations.findFirst({
     where: {
       sessionId,
+      active: true,
     },
   });
   if (conversationInfo) {
     return {
+      accountId: conversationInfo.accountId,
       conversationId: conversationInfo.conversationId,
       parentMessageId: conversationInfo.messageId,
     };
@@ -39,90 +262,371 @@ const getOrCreateConversationInfo = async (
     return {};
   }
 };
+// Cached answers are kept apart by the provider and model which gave them.
+const getAccountCacheKey = (message: string, account: Account) =>
+  getCacheKey(
+    message,
+    `${getAccountProvider(account)}:${getModelName(account.config)}`
+  );
+// Conversations are named after their first prompt until they get a title.
+const toTitle = (message: string) =>
+  message.replace(/\s+/g, " ").trim().slice(0, 50);
+// A conversation only exists on the account which created it. Conversations
+// stored before accounts were tracked belong to the first configured account.
+// The account of the conversation is gone or it moved to another provider, a
+// variant needs the conversation it was asked in.
+const conversationGoneError = () => {
+  const error = new Error(
+    "The conversation to regenerate is gone, send the prompt again instead"
+  );
+  error.name = "ConversationGoneError";
+  return error;
+};
+const isConversationGoneError = (e: unknown): e is Error =>
+  e instanceof Error && e.name === "ConversationGoneError";
+const getSessionAccount = (
+  accountId: string | null | undefined
+): Account | undefined => {
+  const account = getAccount(accountId || config.accounts[0].id);
+  if (!account) {
+    logger.warn("Account is gone, starting a new conversation", {
+      account: accountId,
+    });
+  } else if (!account.api) {
+    // the conversation can't move to another account
+    throw accountUnavailableError(account);
+  }
+  return account;
+};
+// used until enough messages are stored to estimate
+const DEFAULT_RESPONSE_TIME = 30 * 1000;
+let averageResponseTime = {
+  value: DEFAULT_RESPONSE_TIME,
+  updatedAt: 0,
+};
+// Average response time of the latest messages, refreshed once a minute.
+const getAverageResponseTime = async () => {
+  if (Date.now() - averageResponseTime.updatedAt > 60 * 1000) {
+    const { _avg } = await prisma.result.aggregate({
+      _avg: {
+        responseTime: true,
+      },
+      orderBy: {
+        id: "desc",
+      },
+      take: 50,
+    });
+    averageResponseTime = {
+      value: Math.round(_avg.responseTime || DEFAULT_RESPONSE_TIME),
+      updatedAt: Date.now(),
+    };
+  }
+  return averageResponseTime.value;
+};
+interface SendMesasgeOptions {
+  // called with the full partial response every time it is updated
+  onProgress?: (partialResponse: ChatResponse) => void;
+  // cancels the job, whether it is still queued or already running
+  abortSignal?: AbortSignal;
+  // API key the message is recorded against
+  apiKeyId?: number;
+  // asks an earlier prompt again instead of sending a new one
+  variantOf?: { promptMessageId: string; parentMessageId: string };
+  // the prompt already passed moderation
+  moderated?: boolean;
+  // the answer is stored in the response cache of the model which gave it
+  cache?: boolean;
+  // queue lane, interactive by default
+  priority?: Priority;
+  // provider the message asked for, otherwise the PROVIDERS order applies
+  provider?: ProviderName;
+  // template the prompt was rendered from, stored with the result
+  templateId?: number;
+  // correlation id logged with everything the job does, including the debug
+  // output of the client, the id of the current request by default
+  requestId?: string;
+}
+// Lane of a message, from `priority` in the body or else from the API key.
+// Keys set to batch can't send interactive messages.
+const getPriority = (req: express.Request, res: express.Response) => {
+  const { priority } = req.body;
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of ${PRIORITIES.join(", ")}`);
+  }
+  const apiKey: ApiKey | undefined = res.locals.apiKey;
+  if (apiKey?.priority === "batch") {
+    return "batch";
+  }
+  return (priority || apiKey?.priority || "interactive") as Priority;
+};
+// Providers a message may go to: the one it asks for, or else PROVIDERS.
+const getProviders = (provider?: ProviderName) =>
+  provider ? [provider] : config.providers;
+// With API keys a key only sees the messages it sent itself, a session
+// somebody else sent messages in is not found.
+const getRequestKeyId = (res: express.Response) =>
+  (res.locals.apiKey as ApiKey | undefined)?.id;
+const isOtherKeysSession = async (sessionId: string, apiKeyId?: number) => {
+  if (apiKeyId === undefined) {
+    return false;
+  }
+  const [own, any] = await Promise.all([
+    prisma.result.findFirst({
+      where: {
+        sessionId,
+        apiKeyId,
+      },
+    }),
+    prisma.result.findFirst({
+      where: {
+        sessionId,
+      },
+    }),
+  ]);
+  return !own && !!any;
+};
+// Provider from `provider` in the body, one which an account uses.
+const getRequestProvider = (req: express.Request) => {
+  const { provider } = req.body;
+  if (provider === undefined) {
+    return undefined;
+  }
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`provider must be one of ${PROVIDERS.join(", ")}`);
+  }
+  if (
+    !getAccounts().some((account) => getAccountProvider(account) === provider)
+  ) {
+    throw new Error(`No account uses the ${provider} provider`);
+  }
+  return provider as ProviderName;
+};
+// Running and queued jobs which were given a message id, so that
+// `POST /message/:messageId/abort` can reach them.
+const abortControllers = new Map<string, AbortController>();
 const sendMesasge = async (
   message: string,
   sessionId?: string,
   // if message id is provided, it will be used to store the partial response
-  mesasgeId?: string
+  mesasgeId?: string,
+  options: SendMesasgeOptions = {}
+) => {
+  const abortController = new AbortController();
+  const signal = abortController.signal;
+  if (options.abortSignal?.aborted) {
+    abortController.abort();
+  }
+  options.abortSignal?.addEventListener("abort", () => abortController.abort());
+  if (mesasgeId) {
+    abortControllers.set(mesasgeId, abortController);
+  }
+  try {
+    return await withRequestId(options.requestId || getRequestId(), () =>
+      runMesasge(message, signal, sessionId, mesasgeId, options)
+    );
+  } finally {
+    if (mesasgeId) {
+      abortControllers.delete(mesasgeId);
+    }
+  }
+};
+const runMesasge = async (
+  message: string,
+  signal: AbortSignal,
+  sessionId?: string,
+  mesasgeId?: string,
+  options: SendMesasgeOptions = {}
 ) => {
-  let conversationInfo;
+  if (config.moderation && !options.moderated) {
+    await moderatePrompt(message, getProviders(options.provider));
+  }
+  let conversationInfo: SendMessageOptions | undefined;
+  let sessionAccount: Account | undefined;
   if (sessionId) {
-    conversationInfo = await getOrCreateConversationInfo(sessionId);
+    const { accountId, ...info } = await getOrCreateConversationInfo(sessionId);
+    if (info.conversationId) {
+      sessionAccount = getSessionAccount(accountId);
+      // conversations don't move between providers, asking for another one
+      // starts a new conversation there
+      if (
+        sessionAccount &&
+        options.provider &&
+        getAccountProvider(sessionAccount) !== options.provider
+      ) {
+        sessionAccount = undefined;
+      }
+      conversationInfo = sessionAccount ? info : undefined;
+    }
   }
+  if (options.variantOf && !conversationInfo) {
+    throw conversationGoneError();
+  }
+  const account = sessionAccount || pickAccount(getProviders(options.provider));
+  // stored with the result, so that the answer can be regenerated later
+  const promptMessageId =
+    options.variantOf?.promptMessageId || mesasgeId || randomUUID();
+  const parentMessageId =
+    options.variantOf?.parentMessageId ||
+    conversationInfo?.parentMessageId ||
+    randomUUID();
+  const action = options.variantOf ? "variant" : "next";
   const jobId = randomUUID();
-  await mesasgeQueue.wait(jobId);
-  const startTime = new Date().getTime();
-  let response;
-  let endFlag = false;
-  conversationInfo = {
-    ...conversationInfo,
-    mesasgeId,
+  const job: Job = {
+    id: jobId,
+    messageId: mesasgeId,
+    sessionId,
+    priority: options.priority || "interactive",
+    requestId: getRequestId(),
+    enqueuedAt: Date.now(),
   };
-  if (mesasgeId) {
-    console.log(`message set ${mesasgeId}`);
-    await kv.set(
-      mesasgeId,
-      {
-        response: "",
-        status: "process",
-      },
-      30 * 60 * 1000
+  const saveState = mesasgeId ? createMessageWriter(mesasgeId) : undefined;
+  enqueueJob(account, job);
+  const release = () => {
+    account.queue.end(jobId);
+    removeJob(account, job);
+  };
+  let waiting: Promise<void> | undefined;
+  try {
+    await saveState?.({
+      response: "",
+      status: "queued",
+    });
+    await raceAbort(waitForTurn(account, job), signal);
+    waiting = account.queue.wait(jobId);
+    await raceAbort(waiting, signal);
+    startJob(account, job);
+    queueWaitTime.observe(
+      { account: account.id, priority: job.priority },
+      (Date.now() - job.enqueuedAt) / 1000
     );
+  } catch (e) {
+    // the queue can't drop a waiting job, hand the slot back once granted
+    removeJob(account, job);
+    waiting?.then(() => account.queue.end(jobId));
+    await saveState?.({
+      response: "",
+      status: "aborted",
+    });
+    throw e;
+  }
+  const startTime = new Date().getTime();
+  let response;
+  if (saveState) {
+    logger.debug("Message processing", { messageId: mesasgeId });
+    await saveState({
+      response: "",
+      status: "process",
+    });
   }
+  let request: Promise<ChatResponse> | undefined;
   try {
-    response = await chatGPTAPIBrowser.sendMessage(message, {
+    // a failed rotation can take the client away while the job waited
+    if (!account.api) {
+      throw accountUnavailableError(account);
+    }
+    request = account.api.sendMessage(message, {
       ...conversationInfo,
-      messageId: mesasgeId,
-      onProgress: mesasgeId
-        ? async (partialResponse: ChatResponse) => {
-            await kv.set(
-              mesasgeId,
-              {
+      messageId: promptMessageId,
+      parentMessageId,
+      action,
+      abortSignal: signal,
+      onProgress:
+        saveState || options.onProgress
+          ? (partialResponse: ChatResponse) => {
+              if (signal.aborted) {
+                return;
+              }
+              options.onProgress?.(partialResponse);
+              saveState?.({
                 ...partialResponse,
-                status: endFlag ? "done" : "process",
-              },
-              30 * 60 * 1000
-            );
-          }
-        : undefined,
+                status: "process",
+              });
+            }
+          : undefined,
+    });
+    response = await raceAbort(request, signal);
+    markSuccess(account);
+    await saveState?.({
+      ...response,
+      status: "done",
+    });
+    logger.info("Message answered", {
+      account: account.id,
+      conversationId: response.conversationId,
+      messageId: response.messageId,
+      ...contentFields({ response: response.response }),
     });
-    endFlag = true;
-    console.log(response);
-    console.log(`Response: ${response}`);
   } catch (e) {
-    if (mesasgeId) {
-      await kv.set(
-        mesasgeId,
-        {
-          response: "",
-          status: "error",
-        },
-        30 * 60 * 1000
-      );
+    if (signal.aborted) {
+      logger.info("Message aborted", { messageId: mesasgeId || jobId });
+      await saveState?.({
+        response: "",
+        status: "aborted",
+      });
+      throw e;
     }
-    console.error(e);
+    await saveState?.({
+      response: "",
+      status: "error",
+      error: `${e}`,
+    });
+    markFailure(account, e as ChatGPTError);
+    messageErrors.inc({
+      account: account.id,
+      status_code: (e as ChatGPTError).statusCode || "unknown",
+    });
+    logger.error("Sending message failed", { account: account.id, error: e });
     throw e;
   } finally {
-    mesasgeQueue.end(jobId);
+    // ChatGPTAPIBrowser ignores the abort signal, the account stays busy
+    // until the page is done with the aborted message
+    if (request) {
+      request.then(release, release);
+    } else {
+      release();
+    }
   }
   const endTime = new Date().getTime();
+  responseTime.observe({ account: account.id }, (endTime - startTime) / 1000);
   if (sessionId) {
-    await prisma.conversations.upsert({
-      where: {
-        sessionId_conversationId: {
+    // a new conversation becomes the active one, an existing one stays
+    // inactive if another one was selected in the meantime
+    const started =
+      conversationInfo?.conversationId !== response.conversationId;
+    await prisma.$transaction([
+      ...(started
+        ? [
+            prisma.conversations.updateMany({
+              where: {
+                sessionId,
+              },
+              data: {
+                active: false,
+              },
+            }),
+          ]
+        : []),
+      prisma.conversations.upsert({
+        where: {
+          sessionId_conversationId: {
+            sessionId,
+            conversationId: response.conversationId,
+          },
+        },
+        create: {
           sessionId,
           conversationId: response.conversationId,
+          messageId: response.messageId,
+          accountId: account.id,
+          title: toTitle(message),
+          active: true,
         },
-      },
-      create: {
-        sessionId,
-        conversationId: response.conversationId,
-        messageId: response.messageId,
-      },
-      update: {
-        messageId: response.messageId,
-      },
-    });
+        update: {
+          messageId: response.messageId,
+          accountId: account.id,
+        },
+      }),
+    ]);
   }
   await prisma.result.create({
     data: {
@@ -131,61 +635,414 @@ const sendMesasge = async (
       conversationsId: response.conversationId,
       messageId: response.messageId,
       responseTime: endTime - startTime,
+      sessionId,
+      promptMessageId,
+      parentMessageId,
+      action,
+      accountId: account.id,
+      apiKeyId: options.apiKeyId,
+      templateId: options.templateId,
     },
   });
+  if (options.cache) {
+    await setCachedResponse(
+      getAccountCacheKey(message, account),
+      response.response,
+      config.responseCacheTTL
+    ).catch((e) => logger.error("Caching the response failed", { error: e }));
+  }
   return response;
 };
-app.post(`/message`, async (req, res) => {
+// Streams the reply as Server-Sent Events: `message` events carry the text
+// added since the previous event, followed by a single `done` or `error` event.
+const streamMesasge = async (
+  res: express.Response,
+  message: string,
+  sessionId?: string,
+  options: SendMesasgeOptions = {}
+) => {
+  initEventStream(res);
+  const emitDelta = createDeltaEmitter((delta) =>
+    sendEvent(res, { delta }, "message")
+  );
+  try {
+    const response = await sendMesasge(message, sessionId, undefined, {
+      ...options,
+      onProgress: (partialResponse) => emitDelta(partialResponse.response),
+      abortSignal: abortOnClose(res),
+    });
+    emitDelta(response.response);
+    sendEvent(
+      res,
+      {
+        response: response.response,
+        conversationId: response.conversationId,
+        messageId: response.messageId,
+      },
+      "done"
+    );
+  } catch (e) {
+    sendEvent(
+      res,
+      {
+        message: "Something went wrong",
+        error: `${e}`,
+      },
+      "error"
+    );
+  } finally {
+    res.end();
+  }
+};
+// Reports the outcome of a background message to its callback URL.
+const notifyCallback = async (
+  callbackUrl: string,
+  messageId: string,
+  sessionId: string | undefined,
+  outcome: {
+    response?: Partial<ChatResponse> & { response: string };
+    error?: unknown;
+    aborted?: boolean;
+  }
+) => {
+  const { response, error, aborted } = outcome;
+  await deliverWebhook(
+    callbackUrl,
+    {
+      event: response
+        ? "message.done"
+        : aborted
+        ? "message.aborted"
+        : "message.error",
+      messageId,
+      sessionId,
+      response: response?.response,
+      conversationId: response?.conversationId,
+      error: error ? `${error}` : undefined,
+    },
+    config.webhookSecret!,
+    config.webhookAllowedHosts
+  );
+};
+const handleMessage = async (
+  req: express.Request,
+  res: express.Response,
+  message: string,
+  sessionId?: string,
+  messageOptions: SendMesasgeOptions = {}
+) => {
   try {
-    const { message } = req.body;
+    const { callbackUrl, cache } = req.body;
     const { stream } = req.headers;
-    console.log(`Received message: ${message}`);
-    if (stream == "enable") {
-      const messageId = randomUUID();
-      sendMesasge(message, undefined, messageId).catch((e) => {
-        console.error(e);
-        console.log(`Error while sending message ${messageId}`);
+    let priority, provider;
+    try {
+      priority = getPriority(req, res);
+      provider = getRequestProvider(req);
+    } catch (e) {
+      return res.status(400).json({
+        message: `${e}`,
+      });
+    }
+    const options: SendMesasgeOptions = {
+      ...messageOptions,
+      apiKeyId: res.locals.apiKey?.id,
+      priority,
+      provider,
+    };
+    logger.info("Message received", {
+      sessionId,
+      ...contentFields({ prompt: message }),
+    });
+    if (sessionId && (await isOtherKeysSession(sessionId, options.apiKeyId))) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    if (callbackUrl !== undefined) {
+      if (!config.webhookSecret) {
+        return res.status(400).json({
+          message: "Set WEBHOOK_SECRET to use callbackUrl",
+        });
+      }
+      try {
+        checkCallbackUrl(callbackUrl, config.webhookAllowedHosts);
+      } catch (e) {
+        return res.status(400).json({
+          message: `${e}`,
+        });
+      }
+      // the stream already delivers the answer, the callback would never fire
+      if (wantsEventStream(req)) {
+        return res.status(400).json({
+          message: "callbackUrl can't be used with an event stream",
+        });
+      }
+    }
+    // one-time prompts opt into the response cache with `cache: true`
+    let cacheStatus: "hit" | "miss" | "bypass" | undefined;
+    let cached: CachedResponse | undefined;
+    if (cache === true && !sessionId && config.responseCacheTTL > 0) {
+      const cacheControl = req.headers["cache-control"] || "";
+      if (cacheControl.includes("no-cache")) {
+        cacheStatus = "bypass";
+      } else {
+        // answers of the account the message would be sent to, it is stored
+        // with the model of the account which ends up answering
+        const account = pickAccount(getProviders(provider));
+        cached = await getCachedResponse(getAccountCacheKey(message, account));
+        cacheStatus = cached ? "hit" : "miss";
+      }
+      options.cache = !cacheControl.includes("no-store");
+      res.setHeader("X-Cache", cacheStatus.toUpperCase());
+    }
+    // cached answers passed moderation when they were asked
+    if (cached) {
+      const { response } = cached;
+      if (wantsEventStream(req)) {
+        initEventStream(res);
+        sendEvent(res, { delta: response }, "message");
+        sendEvent(res, { response, cache: cacheStatus }, "done");
+        return res.end();
+      }
+      if (stream == "enable" || callbackUrl) {
+        const messageId = randomUUID();
+        await setMessageState(messageId, { response, status: "done" });
+        if (callbackUrl) {
+          notifyCallback(callbackUrl, messageId, undefined, {
+            response: { response },
+          }).catch((e) =>
+            logger.error("Notifying the callback failed", { error: e })
+          );
+        }
+        return res.json({
+          messageId,
+          cache: cacheStatus,
+        });
+      }
+      return res.json({
+        response,
+        cache: cacheStatus,
       });
+    }
+    // before anything is sent back, so that every mode can answer with a 422
+    if (config.moderation) {
+      await moderatePrompt(message, getProviders(provider));
+      options.moderated = true;
+    }
+    if (wantsEventStream(req)) {
+      return await streamMesasge(res, message, sessionId, options);
+    }
+    // the reply is delivered to the callback URL or polled with the message id
+    if (stream == "enable" || callbackUrl) {
+      const messageId = randomUUID();
+      sendMesasge(message, sessionId, messageId, options)
+        .then(
+          (response) => ({ response }),
+          (error) => {
+            logger.error("Background message failed", {
+              messageId,
+              sessionId,
+              error,
+            });
+            return { error, aborted: isAbortError(error) };
+          }
+        )
+        .then((outcome) => {
+          if (callbackUrl) {
+            return notifyCallback(callbackUrl, messageId, sessionId, outcome);
+          }
+        })
+        .catch((e) =>
+          logger.error("Notifying the callback failed", { error: e })
+        );
       return res.json({
         messageId,
+        cache: cacheStatus,
       });
     }
-    const reply = await sendMesasge(message);
+    const response = await sendMesasge(message, sessionId, undefined, options);
     return res.json({
-      response: reply.response,
+      response: response.response,
+      cache: cacheStatus,
     });
   } catch (e) {
-    console.error(e);
+    if (isModerationError(e)) {
+      return res.status(422).json(toModerationJSON(e));
+    }
+    if (isAccountUnavailableError(e)) {
+      return res.status(503).json({
+        message: e.message,
+      });
+    }
+    if (isConversationGoneError(e)) {
+      return res.status(409).json({
+        message: e.message,
+      });
+    }
+    logger.error("Request failed", { error: e });
     return res.status(500).json({
       message: "Something went wrong",
       error: `${e}`,
     });
   }
-});
-app.post(`/message/:sessionId`, async (req, res) => {
-  try {
+};
+app.post(`/message`, requireMessageQuota, (req, res) =>
+  handleMessage(req, res, req.body.message)
+);
+app.post(`/message/:sessionId`, requireMessageQuota, (req, res) =>
+  handleMessage(req, res, req.body.message, req.params.sessionId)
+);
+// Asks the prompt behind the session's latest answer again, the new answer
+// takes its place as the parent of the next message.
+app.post(
+  `/message/:sessionId/regenerate`,
+  requireMessageQuota,
+  async (req, res) => {
     const { sessionId } = req.params;
-    const { message } = req.body;
-    console.log(`Received message: ${message} for session: ${sessionId}`);
-    const { stream } = req.headers;
-    if (stream == "enable") {
-      const messageId = randomUUID();
-      sendMesasge(message, sessionId, messageId).catch((e) => {
-        console.error(e);
-        console.log(
-          `Error while sending message ${messageId}, sessionId: ${sessionId}`
-        );
+    let result;
+    try {
+      const { conversationId, parentMessageId } =
+        await getOrCreateConversationInfo(sessionId);
+      result = conversationId
+        ? await prisma.result.findFirst({
+            where: {
+              sessionId,
+              conversationsId: conversationId,
+              messageId: parentMessageId,
+            },
+            orderBy: {
+              id: "desc",
+            },
+          })
+        : null;
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
       });
-      return res.json({
-        messageId,
+    }
+    if (!result) {
+      return res.status(404).json({
+        message: "No answer to regenerate",
+      });
+    }
+    if (!result.promptMessageId || !result.parentMessageId) {
+      return res.status(409).json({
+        message: "The answer was stored before it could be regenerated",
+      });
+    }
+    return handleMessage(req, res, result.request, sessionId, {
+      variantOf: {
+        promptMessageId: result.promptMessageId,
+        parentMessageId: result.parentMessageId,
+      },
+      templateId: result.templateId ?? undefined,
+    });
+  }
+);
+// OpenAI compatible endpoint, `user` is used as the session id.
+app.post(`/v1/chat/completions`, requireMessageQuota, async (req, res) => {
+  const { messages, stream, model, user } = req.body as ChatCompletionRequest;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res
+      .status(400)
+      .json(
+        toError("'messages' must be a non-empty array", undefined, "messages")
+      );
+  }
+  let priority, provider;
+  try {
+    priority = getPriority(req, res);
+  } catch (e) {
+    return res.status(400).json(toError(`${e}`, undefined, "priority"));
+  }
+  try {
+    provider = getRequestProvider(req);
+  } catch (e) {
+    return res.status(400).json(toError(`${e}`, undefined, "provider"));
+  }
+  const sessionId = user || undefined;
+  const prompt = messagesToPrompt(messages, !!sessionId);
+  const id = createCompletionId();
+  const modelName = model || DEFAULT_MODEL;
+  const apiKeyId = res.locals.apiKey?.id;
+  logger.info("Completion received", {
+    sessionId,
+    ...contentFields({ prompt }),
+  });
+  if (config.moderation) {
+    try {
+      await moderatePrompt(prompt, getProviders(provider));
+    } catch (e) {
+      if (isModerationError(e)) {
+        return res
+          .status(422)
+          .json(
+            toError(e.message, "invalid_request_error", "messages", "flagged")
+          );
+      }
+      logger.error("Request failed", { error: e });
+      return res.status(500).json(toError(`${e}`, "server_error"));
+    }
+  }
+  if (!stream) {
+    try {
+      const response = await sendMesasge(prompt, sessionId, undefined, {
+        apiKeyId,
+        moderated: config.moderation,
+        priority,
+        provider,
       });
+      return res.json(toCompletion(id, modelName, response.response));
+    } catch (e) {
+      return res
+        .status(isAccountUnavailableError(e) ? 503 : 500)
+        .json(toError(`${e}`, "server_error"));
     }
-    const response = await sendMesasge(message, sessionId);
+  }
+  initEventStream(res);
+  sendEvent(res, toCompletionChunk(id, modelName, { role: "assistant" }));
+  const emitDelta = createDeltaEmitter((content) =>
+    sendEvent(res, toCompletionChunk(id, modelName, { content }))
+  );
+  try {
+    const response = await sendMesasge(prompt, sessionId, undefined, {
+      apiKeyId,
+      moderated: config.moderation,
+      priority,
+      provider,
+      onProgress: (partialResponse) => emitDelta(partialResponse.response),
+      abortSignal: abortOnClose(res),
+    });
+    emitDelta(response.response);
+    sendEvent(res, toCompletionChunk(id, modelName, {}, "stop"));
+  } catch (e) {
+    sendEvent(res, toError(`${e}`, "server_error"));
+  } finally {
+    sendEvent(res, "[DONE]");
+    res.end();
+  }
+});
+app.post(`/moderation`, async (req, res) => {
+  const { input } = req.body;
+  if (!input || typeof input !== "string") {
+    return res.status(400).json({
+      message: "input is required",
+    });
+  }
+  try {
+    const moderation = await sendModeration(
+      pickAccount(config.providers),
+      input
+    );
     return res.json({
-      response: response.response,
+      flagged: moderation.flagged,
+      blocked: moderation.blocked,
+      moderationId: moderation.moderation_id,
     });
   } catch (e) {
-    console.error(e);
+    logger.error("Request failed", { error: e });
     return res.status(500).json({
       message: "Something went wrong",
       error: `${e}`,
@@ -193,71 +1050,1006 @@ app.post(`/message/:sessionId`, async (req, res) => {
   }
 });
 app.get("/message/:messageId", async (req, res) => {
-  const { messageId } = req.params;
-  console.log(`${messageId}`);
-  const response = await kv.get(messageId);
-  if (response) {
-    return res.json(response);
-  } else {
-    return res.status(404).json({
-      message: "Not found",
+  try {
+    const { messageId } = req.params;
+    const response = await getMessageState(messageId);
+    const queued = findJob(messageId);
+    if (response?.status === "queued" && queued) {
+      const position = getQueuePosition(queued.account, queued.job);
+      return res.json({
+        ...response,
+        position,
+        estimatedWait: estimateWait(
+          queued.account,
+          position,
+          await getAverageResponseTime()
+        ),
+      });
+    }
+    if (response) {
+      return res.json(response);
+    } else {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
     });
   }
 });
-app.delete(`/message/:sessionId`, async (req, res) => {
+app.get(`/queue`, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    await prisma.conversations.deleteMany({
-      where: {
-        sessionId,
-      },
-    });
+    const averageResponseTime = await getAverageResponseTime();
+    const now = Date.now();
+    const accounts = getAccounts().map((account) => ({
+      id: account.id,
+      provider: getAccountProvider(account),
+      healthy: isAvailable(account),
+      depth: account.waiting.length,
+      running: account.running.map((job) => ({
+        messageId: job.messageId,
+        sessionId: job.sessionId,
+        priority: job.priority,
+        requestId: job.requestId,
+        startedAt: new Date(job.startedAt || now),
+        elapsed: now - (job.startedAt || now),
+      })),
+      // wait of an interactive message sent to this account now
+      estimatedWait: estimateWait(
+        account,
+        getNewJobPosition(account, "interactive"),
+        averageResponseTime
+      ),
+      lanes: Object.fromEntries(
+        PRIORITIES.map((priority) => [
+          priority,
+          {
+            depth: account.waiting.filter((job) => job.priority === priority)
+              .length,
+            estimatedWait: estimateWait(
+              account,
+              getNewJobPosition(account, priority),
+              averageResponseTime
+            ),
+          },
+        ])
+      ),
+    }));
+    const available = accounts.filter((account) => account.healthy);
     return res.json({
-      message: "Deleted",
+      depth: accounts.reduce((total, account) => total + account.depth, 0),
+      running: accounts.reduce(
+        (total, account) => total + account.running.length,
+        0
+      ),
+      averageResponseTime,
+      // one-time messages go to the least loaded account
+      estimatedWait: Math.min(
+        ...(available.length ? available : accounts).map(
+          (account) => account.estimatedWait
+        )
+      ),
+      accounts,
     });
   } catch (e) {
-    console.error(e);
+    logger.error("Request failed", { error: e });
     return res.status(500).json({
       message: "Something went wrong",
       error: `${e}`,
     });
   }
 });
-async function main() {
-  // @ts-ignore
-  console.log(
-    `Starting chatgpt with config: ${JSON.stringify(config, null, 2)}`
-  );
-  const { ChatGPTAPIBrowser, ChatGPTAPI } = await import("chatgpt");
-  // if sessionsToken is not provided, it will use the default token.
-  if (config.sessionToken) {
-    // @ts-ignore
-    chatGPTAPIBrowser = new ChatGPTAPI({
-      sessionToken: config.sessionToken,
-      clearanceToken: "proxy-dont-use-this-token",
-      backendApiBaseUrl: config.reverseProxyUrl + "/api",
-      apiBaseUrl: "https://explorer.api.openai.com/api",
+app.get("/message/:messageId/webhook", async (req, res) => {
+  try {
+    const deliveries = await getWebhookDeliveries(req.params.messageId);
+    return res.json({
+      deliveries: deliveries.map((delivery) => ({
+        id: delivery.id,
+        url: delivery.url,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastStatus: delivery.lastStatus,
+        lastError: delivery.lastError,
+        createdAt: delivery.createdAt,
+        deliveredAt: delivery.deliveredAt,
+      })),
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
     });
-  } else {
-    chatGPTAPIBrowser = new ChatGPTAPIBrowser(config);
-    await AsyncRetry(
-      async () => {
-        await chatGPTAPIBrowser.initSession();
-      },
-      {
-        retries: 5,
-        onRetry: (error) => {
-          console.error(`Starting chatgpt failed, retrying...`);
-          console.error(error);
-        },
-      }
-    );
   }
-  const PORT = Number(process.env.PORT) || 4000;
-  const HOST = process.env.HOST || "::";
-  console.log(`🎉 Started chatgpt success!`);
-  app.listen(PORT, HOST, () => {
-    console.log(`🚀 Server ready at: http://${HOST}:${PORT}/`);
+});
+app.post("/message/:messageId/abort", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const abortController = abortControllers.get(messageId);
+    if (abortController) {
+      const found = findJob(messageId);
+      // the message is reported as aborted right away, but a client which
+      // ignores the abort keeps its account busy until the answer is done
+      const released = !(
+        found?.account.running.includes(found.job) &&
+        found.account.api?.ignoresAbort
+      );
+      abortController.abort();
+      return res.json({
+        message: "Aborted",
+        released,
+      });
+    }
+    const state = await getMessageState(messageId);
+    if (state) {
+      return res.status(409).json({
+        message: `Message is already ${state.status}`,
+      });
+    }
+    return res.status(404).json({
+      message: "Not found",
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Rates an answer, identified by its ChatGPT message id or by the message id
+// of its `stream: enable` job. `forward: true` also sends the rating to ChatGPT.
+app.post("/message/:messageId/feedback", async (req, res) => {
+  const { messageId } = req.params;
+  let feedback;
+  try {
+    feedback = parseFeedback(req.body);
+  } catch (e) {
+    return res.status(400).json({
+      message: `${e}`,
+    });
+  }
+  try {
+    const result = await prisma.result.findFirst({
+      where: {
+        OR: [{ messageId }, { promptMessageId: messageId }],
+      },
+      orderBy: {
+        id: "desc",
+      },
+    });
+    if (!result) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    const data = {
+      rating: feedback.rating,
+      tags: feedback.tags.join(","),
+      text: feedback.text ?? null,
+    };
+    let forwarded = {};
+    if (req.body.forward === true) {
+      try {
+        const account = getAccount(result.accountId || config.accounts[0].id);
+        if (!account) {
+          throw new Error(`Account ${result.accountId} is gone`);
+        }
+        await forwardFeedback(account, {
+          conversation_id: result.conversationsId,
+          message_id: result.messageId,
+          ...feedback,
+        });
+        forwarded = { forwardedAt: new Date(), forwardError: null };
+      } catch (e) {
+        logger.error("Request failed", { error: e });
+        forwarded = { forwardError: `${e}` };
+      }
+    }
+    const stored = await prisma.feedback.upsert({
+      where: {
+        resultId: result.id,
+      },
+      create: {
+        ...data,
+        ...forwarded,
+        resultId: result.id,
+      },
+      update: {
+        ...data,
+        ...forwarded,
+      },
+    });
+    return res.json({
+      messageId: result.messageId,
+      rating: stored.rating,
+      tags: feedback.tags,
+      text: stored.text,
+      forwardedAt: stored.forwardedAt,
+      forwardError: stored.forwardError,
+      updatedAt: stored.updatedAt,
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.get(`/sessions`, async (req, res) => {
+  try {
+    const { limit, offset } = parsePagination(req.query);
+    const sessions = await prisma.result.groupBy({
+      by: ["sessionId"],
+      where: {
+        sessionId: {
+          not: null,
+        },
+        apiKeyId: getRequestKeyId(res),
+      },
+      _count: {
+        _all: true,
+      },
+      _min: {
+        createdAt: true,
+      },
+      _max: {
+        createdAt: true,
+      },
+      orderBy: {
+        _max: {
+          createdAt: "desc",
+        },
+      },
+      skip: offset,
+      take: limit,
+    });
+    return res.json({
+      limit,
+      offset,
+      sessions: sessions.map((session) => ({
+        sessionId: session.sessionId,
+        messageCount: session._count._all,
+        createdAt: session._min.createdAt,
+        lastMessageAt: session._max.createdAt,
+      })),
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Past exchanges of a session, oldest first unless `?order=desc`.
+app.get(`/sessions/:sessionId/messages`, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { limit, offset } = parsePagination(req.query);
+    const order = req.query.order === "desc" ? "desc" : "asc";
+    const apiKeyId = getRequestKeyId(res);
+    if (await isOtherKeysSession(sessionId, apiKeyId)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    const where = {
+      sessionId,
+      apiKeyId,
+      conversationsId:
+        typeof req.query.conversationId === "string"
+          ? req.query.conversationId
+          : undefined,
+    };
+    const [total, results] = await Promise.all([
+      prisma.result.count({
+        where,
+      }),
+      prisma.result.findMany({
+        where,
+        include: {
+          feedback: true,
+        },
+        orderBy: {
+          id: order,
+        },
+        skip: offset,
+        take: limit,
+      }),
+    ]);
+    return res.json({
+      sessionId,
+      total,
+      limit,
+      offset,
+      messages: results.map((result) => ({
+        id: result.id,
+        conversationId: result.conversationsId,
+        messageId: result.messageId,
+        request: result.request,
+        response: result.response,
+        // variant answers replace the answer before them
+        action: result.action,
+        rating: result.feedback?.rating ?? null,
+        responseTime: result.responseTime,
+        createdAt: result.createdAt,
+      })),
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.get(`/sessions/:sessionId/export`, async (req, res) => {
+  const { sessionId } = req.params;
+  const format = (req.query.format || "json") as TranscriptFormat;
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `format must be one of ${TRANSCRIPT_FORMATS.join(", ")}`,
+    });
+  }
+  try {
+    const apiKeyId = getRequestKeyId(res);
+    if (await isOtherKeysSession(sessionId, apiKeyId)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    const transcript = await exportSession(sessionId, apiKeyId);
+    if (!transcript.conversations.length && !transcript.messages.length) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${encodeURIComponent(sessionId)}.${format}"`
+    );
+    if (format === "md") {
+      return res.type("text/markdown").send(toMarkdown(transcript));
+    }
+    if (format === "jsonl") {
+      return res.type("application/x-ndjson").send(toJSONL(transcript));
+    }
+    return res.json(transcript);
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Restores a `json` or `jsonl` export (`Content-Type: application/x-ndjson`).
+// A session which already has messages is only overwritten with `?replace=true`.
+app.post(`/sessions/:sessionId/import`, async (req, res) => {
+  const { sessionId } = req.params;
+  const replace = req.query.replace === "true";
+  let transcript;
+  try {
+    transcript = parseTranscript(
+      typeof req.body === "string" ? parseJSONL(req.body) : req.body
+    );
+  } catch (e) {
+    return res.status(400).json({
+      message: `${e}`,
+    });
+  }
+  try {
+    const apiKeyId = getRequestKeyId(res);
+    if (await isOtherKeysSession(sessionId, apiKeyId)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    if (!replace) {
+      const [conversations, messages] = await Promise.all([
+        prisma.conversations.count({
+          where: {
+            sessionId,
+          },
+        }),
+        prisma.result.count({
+          where: {
+            sessionId,
+          },
+        }),
+      ]);
+      if (conversations || messages) {
+        return res.status(409).json({
+          message:
+            "Session already exists, import with ?replace=true to overwrite it",
+        });
+      }
+    }
+    await importSession(sessionId, transcript, replace, apiKeyId);
+    logger.info("Session imported", {
+      sessionId,
+      messages: transcript.messages.length,
+    });
+    return res.status(201).json({
+      sessionId,
+      conversations: transcript.conversations.length,
+      messages: transcript.messages.length,
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Threads of a session, most recently used first.
+app.get(`/sessions/:sessionId/conversations`, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const apiKeyId = getRequestKeyId(res);
+    if (await isOtherKeysSession(sessionId, apiKeyId)) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    const [conversations, counts] = await Promise.all([
+      prisma.conversations.findMany({
+        where: {
+          sessionId,
+        },
+        orderBy: {
+          updatedAt: "desc",
+        },
+      }),
+      prisma.result.groupBy({
+        by: ["conversationsId"],
+        where: {
+          sessionId,
+          apiKeyId,
+        },
+        _count: {
+          _all: true,
+        },
+      }),
+    ]);
+    return res.json({
+      sessionId,
+      conversations: conversations.map((conversation) => ({
+        conversationId: conversation.conversationId,
+        title: conversation.title,
+        active: conversation.active,
+        messageCount:
+          counts.find(
+            (count) => count.conversationsId === conversation.conversationId
+          )?._count._all || 0,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+      })),
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// The next message of the session starts a new conversation, the current one
+// can be selected again later.
+app.post(`/sessions/:sessionId/conversations`, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (await isOtherKeysSession(sessionId, getRequestKeyId(res))) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    await prisma.conversations.updateMany({
+      where: {
+        sessionId,
+      },
+      data: {
+        active: false,
+      },
+    });
+    return res.json({
+      message: "The next message starts a new conversation",
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Renames a conversation and/or makes it the one the session continues.
+app.patch(
+  `/sessions/:sessionId/conversations/:conversationId`,
+  async (req, res) => {
+    const { sessionId, conversationId } = req.params;
+    const { title, active } = req.body;
+    if (title !== undefined && title !== null && typeof title !== "string") {
+      return res.status(400).json({
+        message: "title must be a string",
+      });
+    }
+    if (active !== undefined && active !== true) {
+      return res.status(400).json({
+        message:
+          "active can only be set to true, start a new conversation instead",
+      });
+    }
+    try {
+      const where = {
+        sessionId_conversationId: {
+          sessionId,
+          conversationId,
+        },
+      };
+      if (
+        (await isOtherKeysSession(sessionId, getRequestKeyId(res))) ||
+        !(await prisma.conversations.findUnique({ where }))
+      ) {
+        return res.status(404).json({
+          message: "Not found",
+        });
+      }
+      const [conversation] = await prisma.$transaction([
+        prisma.conversations.update({
+          where,
+          data: {
+            title,
+            active,
+          },
+        }),
+        ...(active
+          ? [
+              prisma.conversations.updateMany({
+                where: {
+                  sessionId,
+                  conversationId: {
+                    not: conversationId,
+                  },
+                },
+                data: {
+                  active: false,
+                },
+              }),
+            ]
+          : []),
+      ]);
+      return res.json({
+        conversationId: conversation.conversationId,
+        title: conversation.title,
+        active: conversation.active,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+      });
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  }
+);
+// Forgets a conversation, its messages stay in the history.
+app.delete(
+  `/sessions/:sessionId/conversations/:conversationId`,
+  async (req, res) => {
+    try {
+      const { sessionId, conversationId } = req.params;
+      if (await isOtherKeysSession(sessionId, getRequestKeyId(res))) {
+        return res.status(404).json({
+          message: "Not found",
+        });
+      }
+      const { count } = await prisma.conversations.deleteMany({
+        where: {
+          sessionId,
+          conversationId,
+        },
+      });
+      if (count === 0) {
+        return res.status(404).json({
+          message: "Not found",
+        });
+      }
+      return res.json({
+        message: "Deleted",
+      });
+    } catch (e) {
+      logger.error("Request failed", { error: e });
+      return res.status(500).json({
+        message: "Something went wrong",
+        error: `${e}`,
+      });
+    }
+  }
+);
+app.delete(`/message/:sessionId`, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (await isOtherKeysSession(sessionId, getRequestKeyId(res))) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    await prisma.conversations.deleteMany({
+      where: {
+        sessionId,
+      },
+    });
+    return res.json({
+      message: "Deleted",
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+const sendBatchItem: SendBatchItem = (message, sessionId, options) =>
+  sendMesasge(message, sessionId, undefined, options);
+// Prompts as a JSON array (the body itself or `items`) or as JSONL
+// (`Content-Type: application/x-ndjson`), they run in the batch lane.
+app.post(`/batches`, async (req, res) => {
+  let items;
+  try {
+    items = parseBatchItems(
+      typeof req.body === "string"
+        ? parseBatchJSONL(req.body)
+        : Array.isArray(req.body)
+        ? req.body
+        : req.body.items
+    );
+  } catch (e) {
+    return res.status(400).json({
+      message: `${e}`,
+    });
+  }
+  const apiKey: ApiKey | undefined = res.locals.apiKey;
+  try {
+    if (apiKey && apiKey.dailyMessages !== null) {
+      const usage = await getDailyUsage(apiKey.id);
+      if (usage + items.length > apiKey.dailyMessages) {
+        return res.status(429).json({
+          message: `The batch needs ${items.length} messages, ${Math.max(
+            apiKey.dailyMessages - usage,
+            0
+          )} are left today`,
+        });
+      }
+    }
+    const sessionIds = new Set(items.map(({ sessionId }) => sessionId));
+    for (const sessionId of sessionIds) {
+      if (sessionId && (await isOtherKeysSession(sessionId, apiKey?.id))) {
+        return res.status(404).json({
+          message: `Session ${sessionId} not found`,
+        });
+      }
+    }
+    const batchId = await createBatch(items, apiKey?.id);
+    logger.info("Batch created", { batchId, items: items.length });
+    runBatch(batchId, sendBatchItem).catch((e) =>
+      logger.error("Batch failed", { batchId, error: e })
+    );
+    return res.status(202).json(await getBatchProgress(batchId));
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.get(`/batches/:batchId`, async (req, res) => {
+  try {
+    const progress = await getBatchProgress(
+      req.params.batchId,
+      getRequestKeyId(res)
+    );
+    if (!progress) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    return res.json(progress);
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.get(`/batches/:batchId/results`, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    if (!(await getBatchProgress(batchId, getRequestKeyId(res)))) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    await writeBatchResults(batchId, res);
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.post(`/batches/:batchId/cancel`, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const progress = await getBatchProgress(batchId, getRequestKeyId(res));
+    if (!progress) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    if (!(await cancelBatch(batchId))) {
+      return res.status(409).json({
+        message: `Batch is already ${progress.status}`,
+      });
+    }
+    return res.json(await getBatchProgress(batchId));
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.get(`/templates`, async (req, res) => {
+  try {
+    const { limit, offset } = parsePagination(req.query);
+    const templates = await prisma.template.findMany({
+      orderBy: {
+        name: "asc",
+      },
+      skip: offset,
+      take: limit,
+    });
+    return res.json({
+      limit,
+      offset,
+      templates: templates.map(toTemplateJSON),
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+app.post(`/templates`, async (req, res) => {
+  let data;
+  try {
+    data = parseTemplate(req.body);
+  } catch (e) {
+    return res.status(400).json({
+      message: `${e}`,
+    });
+  }
+  try {
+    if (await prisma.template.findUnique({ where: { name: data.name } })) {
+      return res.status(409).json({
+        message: `Template ${data.name} already exists`,
+      });
+    }
+    const template = await prisma.template.create({
+      data: {
+        ...data,
+        defaults: JSON.stringify(data.defaults),
+      },
+    });
+    logger.info("Template created", { name: template.name });
+    return res.status(201).json(toTemplateJSON(template));
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// The template with the number of messages sent with it.
+app.get(`/templates/:name`, async (req, res) => {
+  try {
+    const template = await prisma.template.findUnique({
+      where: {
+        name: req.params.name,
+      },
+    });
+    if (!template) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    const uses = await prisma.result.count({
+      where: {
+        templateId: template.id,
+      },
+    });
+    return res.json({
+      ...toTemplateJSON(template),
+      uses,
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Changes the given fields, messages sent before keep their link.
+app.patch(`/templates/:name`, async (req, res) => {
+  try {
+    const current = await prisma.template.findUnique({
+      where: {
+        name: req.params.name,
+      },
+    });
+    if (!current) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    let data;
+    try {
+      data = parseTemplate(req.body, current);
+    } catch (e) {
+      return res.status(400).json({
+        message: `${e}`,
+      });
+    }
+    if (
+      data.name !== current.name &&
+      (await prisma.template.findUnique({ where: { name: data.name } }))
+    ) {
+      return res.status(409).json({
+        message: `Template ${data.name} already exists`,
+      });
+    }
+    const template = await prisma.template.update({
+      where: {
+        id: current.id,
+      },
+      data: {
+        ...data,
+        defaults: JSON.stringify(data.defaults),
+      },
+    });
+    return res.json(toTemplateJSON(template));
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Messages sent with the template are kept, they just lose the link.
+app.delete(`/templates/:name`, async (req, res) => {
+  try {
+    const { count } = await prisma.template.deleteMany({
+      where: {
+        name: req.params.name,
+      },
+    });
+    if (count === 0) {
+      return res.status(404).json({
+        message: "Not found",
+      });
+    }
+    return res.json({
+      message: "Deleted",
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+});
+// Renders the template with `variables` and sends it like POST /message, or
+// like POST /message/:sessionId with `sessionId`. The other options of the
+// message routes (stream, callbackUrl, priority, provider, ...) work as well.
+app.post(`/templates/:name/run`, requireMessageQuota, async (req, res) => {
+  const { variables, sessionId } = req.body;
+  if (
+    sessionId !== undefined &&
+    sessionId !== null &&
+    (typeof sessionId !== "string" || !sessionId)
+  ) {
+    return res.status(400).json({
+      message: "sessionId must be a string",
+    });
+  }
+  let template;
+  try {
+    template = await prisma.template.findUnique({
+      where: {
+        name: req.params.name,
+      },
+    });
+  } catch (e) {
+    logger.error("Request failed", { error: e });
+    return res.status(500).json({
+      message: "Something went wrong",
+      error: `${e}`,
+    });
+  }
+  if (!template) {
+    return res.status(404).json({
+      message: "Not found",
+    });
+  }
+  let message;
+  try {
+    message = renderTemplate(template, variables);
+  } catch (e) {
+    return res.status(400).json({
+      message: `${e}`,
+    });
+  }
+  return handleMessage(req, res, message, sessionId || undefined, {
+    templateId: template.id,
+  });
+});
+// Resolves with the listening server, the tests start it on port 0.
+export async function main(port = Number(process.env.PORT) || 4000) {
+  // passwords and tokens are redacted by the logger
+  logger.info("Starting chatgpt", { config });
+  if (!config.adminToken) {
+    logger.warn(
+      "ADMIN_TOKEN is not set, the API is open to anyone who can reach it"
+    );
+  }
+  await recoverInterruptedMessages();
+  startMessageCleanup();
+  if (config.webhookSecret) {
+    await resumeWebhookDeliveries(
+      config.webhookSecret,
+      config.webhookAllowedHosts
+    );
+  }
+  await initAccounts(config.accounts);
+  startWatchdog(config.watchdogInterval);
+  await resumeBatches(sendBatchItem);
+  const HOST = process.env.HOST || "::";
+  return new Promise<Server>((resolve) => {
+    const server = app.listen(port, HOST, () => {
+      logger.info(`🚀 Server ready at: http://${HOST}:${port}/`);
+      resolve(server);
+    });
+  });
+}
+// the tests import this module and call main themselves
+if (require.main === module) {
+  main().catch((e) => {
+    logger.error("Starting the server failed", { error: e });
+    process.exit(1);
   });
 }
-main();
@@ -1,6 +1,10 @@
 import axios from "axios";
 import "dotenv/config";
 import Keyv from "keyv";
+import yaml from "js-yaml";
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { logger, LogLevel, LOG_LEVELS } from "./logger";
 export interface ChatGPTAPIBrowserConfig {
   email: string;
   password: string;
@@ -18,23 +22,240 @@ export interface ChatGPTAPIBrowserConfig {
   proxyServer?: string;
   userDataDir?: string;
 }
-export const loadConfig = (): ChatGPTAPIBrowserConfig => {
-  const email = process.env.EMAIL;
-  if (!email) {
-    throw new Error(
-      "Please provide email in .env file or environment variable"
-    );
+// browser: ChatGPTAPIBrowser logs in with email and password
+// sessionToken: ChatGPTAPI through the reverse proxy, renews its access token
+// accessToken: ChatGPTAPI with a fixed access token, which can't be renewed
+// apiKey: the official (paid) OpenAI API, see src/official.ts
+// mock: offline fake for development and tests, see src/mock.ts
+export type AuthMode =
+  | "browser"
+  | "sessionToken"
+  | "accessToken"
+  | "apiKey"
+  | "mock";
+export const AUTH_MODES: AuthMode[] = [
+  "browser",
+  "sessionToken",
+  "accessToken",
+  "apiKey",
+  "mock",
+];
+// Backend behind the auth mode, messages can ask for one of them.
+export type ProviderName = "chatgpt" | "openai" | "mock";
+export const PROVIDERS: ProviderName[] = ["chatgpt", "openai", "mock"];
+const AUTH_MODE_PROVIDERS: Record<AuthMode, ProviderName> = {
+  browser: "chatgpt",
+  sessionToken: "chatgpt",
+  accessToken: "chatgpt",
+  apiKey: "openai",
+  mock: "mock",
+};
+export const getProvider = (authMode: AuthMode) =>
+  AUTH_MODE_PROVIDERS[authMode];
+export interface AccountConfig
+  extends Omit<ChatGPTAPIBrowserConfig, "email" | "password"> {
+  // stable identifier stored with the conversations owned by the account
+  id: string;
+  authMode: AuthMode;
+  // only needed by the browser login
+  email?: string;
+  password?: string;
+  accessToken?: string;
+  // only used by the official API, the model defaults to gpt-3.5-turbo and
+  // the URL to https://api.openai.com/v1
+  openaiApiKey?: string;
+  openaiModel?: string;
+  openaiApiUrl?: string;
+  // only used by the mock, scripted answers by prompt and the delay before
+  // every streamed word in milliseconds
+  mockResponses?: Record<string, string>;
+  mockDelay?: number;
+  // model the mock claims to be, only tells cached answers apart
+  mockModel?: string;
+  // the mock finishes aborted answers like ChatGPTAPIBrowser does
+  mockIgnoreAbort?: boolean;
+}
+export interface Config {
+  accounts: AccountConfig[];
+  // milliseconds between two session checks, 0 disables the watchdog
+  watchdogInterval: number;
+  // enables API keys, used to manage them through /admin
+  adminToken?: string;
+  // signs the payloads posted to callback URLs
+  webhookSecret?: string;
+  // the only hosts callbacks may be posted to, unset allows any public host
+  webhookAllowedHosts?: string[];
+  // runs every prompt through ChatGPT's moderation before it is queued
+  moderation: boolean;
+  // milliseconds cached one-time answers are served, 0 disables the cache
+  responseCacheTTL: number;
+  logLevel: LogLevel;
+  // prompts and answers are written to the log
+  logPrompts: boolean;
+  // providers in the order they are tried for messages which don't ask for
+  // one, unset uses every account alike
+  providers?: ProviderName[];
+}
+// Keys of the config file and the environment variables they stand for.
+const CONFIG_FILE_KEYS: Record<string, string> = {
+  authMode: "AUTH_MODE",
+  email: "EMAIL",
+  password: "PASSWORD",
+  sessionToken: "SESSION_TOKEN",
+  accessToken: "ACCESS_TOKEN",
+  openaiApiKey: "OPENAI_API_KEY",
+  openaiModel: "OPENAI_MODEL",
+  openaiApiUrl: "OPENAI_API_URL",
+  providers: "PROVIDERS",
+  accounts: "ACCOUNTS",
+  reverseProxyUrl: "REVERSE_PROXY_URL",
+  isProAccount: "IS_PRO_ACCOUNT",
+  markdown: "MARKDOWN",
+  debug: "DEBUG",
+  isGoogleLogin: "IS_GOOGLE_LOGIN",
+  isMicrosoftLogin: "IS_MICROSOFT_LOGIN",
+  minimize: "MINIMIZE",
+  captchaToken: "CAPTCHA_TOKEN",
+  nopechaKey: "NOPECHA_KEY",
+  executablePath: "EXECUTABLE_PATH",
+  proxyServer: "PROXY_SERVER",
+  userDataDir: "USER_DATA_DIR",
+  watchdogInterval: "WATCHDOG_INTERVAL",
+  adminToken: "ADMIN_TOKEN",
+  webhookSecret: "WEBHOOK_SECRET",
+  webhookAllowedHosts: "WEBHOOK_ALLOWED_HOSTS",
+  moderation: "MODERATION",
+  responseCacheTTL: "RESPONSE_CACHE_TTL",
+  interactiveBurst: "INTERACTIVE_BURST",
+  batchConcurrency: "BATCH_CONCURRENCY",
+  instanceId: "INSTANCE_ID",
+  port: "PORT",
+  host: "HOST",
+  logLevel: "LOG_LEVEL",
+  logPrompts: "LOG_PROMPTS",
+  mockResponses: "MOCK_RESPONSES",
+  mockDelay: "MOCK_DELAY",
+  mockModel: "MOCK_MODEL",
+  mockIgnoreAbort: "MOCK_IGNORE_ABORT",
+  databaseFile: "DATABASE_FILE",
+};
+// CONFIG_FILE is a YAML or JSON object with the keys above. Like .env it only
+// fills in the variables which aren't set, so the environment always wins.
+// It is read on import, before the other modules read their variables, the
+// problems are reported by loadConfig.
+const loadConfigFile = (path: string | undefined) => {
+  const errors: string[] = [];
+  if (!path) {
+    return errors;
+  }
+  let file;
+  try {
+    const text = readFileSync(path, "utf8");
+    file = [".yaml", ".yml"].includes(extname(path).toLowerCase())
+      ? yaml.load(text)
+      : JSON.parse(text);
+  } catch (e) {
+    errors.push(`CONFIG_FILE ${path} could not be read: ${e}`);
+    return errors;
+  }
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    errors.push(`CONFIG_FILE ${path} must contain an object`);
+    return errors;
+  }
+  for (const [key, value] of Object.entries(file)) {
+    const name = CONFIG_FILE_KEYS[key];
+    if (!name) {
+      errors.push(`Unknown key in CONFIG_FILE: ${key}`);
+      continue;
+    }
+    if (value === null || value === undefined || process.env[name]) {
+      continue;
+    }
+    // `accounts` becomes the JSON of ACCOUNTS, lists of names (`providers`)
+    // are comma separated
+    process.env[name] =
+      Array.isArray(value) && value.every((item) => typeof item === "string")
+        ? value.join(",")
+        : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
   }
-  const password = process.env.PASSWORD;
-  if (!password) {
-    throw new Error(
-      "Please provide password in .env file or environment variable"
+  return errors;
+};
+const configFileErrors = loadConfigFile(process.env.CONFIG_FILE);
+type Credential =
+  | "email"
+  | "password"
+  | "sessionToken"
+  | "accessToken"
+  | "openaiApiKey";
+const REQUIRED_CREDENTIALS: Record<AuthMode, Credential[]> = {
+  browser: ["email", "password"],
+  sessionToken: ["sessionToken"],
+  accessToken: ["accessToken"],
+  apiKey: ["openaiApiKey"],
+  mock: [],
+};
+// Credentials the auth mode of the account needs which are not set.
+export const getMissingCredentials = (
+  config: Pick<AccountConfig, "authMode" | Credential>
+) => REQUIRED_CREDENTIALS[config.authMode].filter((field) => !config[field]);
+// Without AUTH_MODE (or `authMode` of the account) the token which is set
+// picks the mode: access token, then session token, then an OpenAI API key
+// (unless there is an email), then the browser login.
+// Problems are collected in `errors` so that all of them are reported at once.
+const loadAccountConfig = (
+  account: Partial<AccountConfig>,
+  index: number,
+  errors: string[]
+): AccountConfig => {
+  const email = account.email || process.env.EMAIL;
+  const password = account.password || process.env.PASSWORD;
+  const sessionToken = account.sessionToken || process.env.SESSION_TOKEN;
+  const accessToken = account.accessToken || process.env.ACCESS_TOKEN;
+  const openaiApiKey = account.openaiApiKey || process.env.OPENAI_API_KEY;
+  const authMode = (account.authMode ||
+    process.env.AUTH_MODE ||
+    (accessToken
+      ? "accessToken"
+      : sessionToken
+      ? "sessionToken"
+      : openaiApiKey && !email
+      ? "apiKey"
+      : "browser")) as AuthMode;
+  if (!AUTH_MODES.includes(authMode)) {
+    errors.push(
+      `Unknown authMode ${authMode} (account ${index}), use one of: ${AUTH_MODES.join(
+        ", "
+      )}`
     );
+  } else {
+    const missing = getMissingCredentials({
+      authMode,
+      email,
+      password,
+      sessionToken,
+      accessToken,
+      openaiApiKey,
+    });
+    for (const field of missing) {
+      errors.push(
+        `Please provide ${field} in .env file, config file or environment variable ${CONFIG_FILE_KEYS[field]} (account ${index}, authMode ${authMode})`
+      );
+    }
   }
-  return {
-    email,
-    password,
-    sessionToken: process.env.SESSION_TOKEN,
+  const config = {
+    email: email ? email : undefined,
+    password: password ? password : undefined,
+    sessionToken: sessionToken ? sessionToken : undefined,
+    accessToken: accessToken ? accessToken : undefined,
+    openaiApiKey: openaiApiKey ? openaiApiKey : undefined,
+    openaiModel: process.env.OPENAI_MODEL
+      ? process.env.OPENAI_MODEL
+      : undefined,
+    openaiApiUrl: process.env.OPENAI_API_URL
+      ? process.env.OPENAI_API_URL
+      : undefined,
     // FIXME: find new reverse proxy
     reverseProxyUrl: process.env.REVERSE_PROXY_URL || "https://chat.y1s1.host",
     isProAccount: process.env.IS_PRO_ACCOUNT === "true",
@@ -57,7 +278,183 @@ export const loadConfig = (): ChatGPTAPIBrowserConfig => {
     userDataDir: process.env.USER_DATA_DIR
       ? process.env.USER_DATA_DIR
       : undefined,
+    mockResponses: parseMockResponses(errors),
+    mockDelay: process.env.MOCK_DELAY
+      ? Number(process.env.MOCK_DELAY)
+      : undefined,
+    mockModel: process.env.MOCK_MODEL ? process.env.MOCK_MODEL : undefined,
+    mockIgnoreAbort: process.env.MOCK_IGNORE_ABORT === "true",
+    // per account values win over the shared environment variables
+    ...account,
+    authMode,
+    // token accounts without email should set a stable id themselves
+    id: account.id || email || `account-${index}`,
+  };
+  const { mockDelay } = config;
+  if (
+    mockDelay !== undefined &&
+    (typeof mockDelay !== "number" || isNaN(mockDelay) || mockDelay < 0)
+  ) {
+    errors.push(
+      `MOCK_DELAY must be a number of milliseconds (account ${index})`
+    );
+  }
+  return config;
+};
+// MOCK_RESPONSES is a JSON object of prompts and their answers.
+const parseMockResponses = (errors: string[]) => {
+  if (!process.env.MOCK_RESPONSES) {
+    return undefined;
+  }
+  try {
+    const responses = JSON.parse(process.env.MOCK_RESPONSES);
+    if (
+      responses &&
+      typeof responses === "object" &&
+      !Array.isArray(responses) &&
+      Object.values(responses).every((value) => typeof value === "string")
+    ) {
+      return responses as Record<string, string>;
+    }
+  } catch (e) {
+    // reported below
+  }
+  errors.push("MOCK_RESPONSES must be a JSON object of strings");
+  return undefined;
+};
+// ACCOUNTS is a JSON array of account objects (`email`, `password`,
+// `sessionToken`, `accessToken`, `openaiApiKey`, `authMode`, `id` or any other
+// ChatGPTAPIBrowserConfig field), values which are not set fall back to the
+// environment variables above.
+const parseAccounts = (errors: string[]): Partial<AccountConfig>[] => {
+  if (!process.env.ACCOUNTS) {
+    return [{}];
+  }
+  let accounts;
+  try {
+    accounts = JSON.parse(process.env.ACCOUNTS);
+  } catch (e) {
+    errors.push(`ACCOUNTS is not valid JSON: ${e}`);
+    return [];
+  }
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    errors.push("ACCOUNTS must be a non-empty JSON array");
+    return [];
+  }
+  return accounts.map((account: Partial<AccountConfig>) => ({
+    ...account,
+    // every browser needs its own profile directory
+    userDataDir:
+      account.userDataDir ||
+      (process.env.USER_DATA_DIR
+        ? `${process.env.USER_DATA_DIR}/${account.id || account.email}`
+        : undefined),
+  }));
+};
+// Seconds in the environment, milliseconds in the config.
+const parseSeconds = (name: string, defaultValue: number, errors: string[]) => {
+  const value = process.env[name] ? Number(process.env[name]) : defaultValue;
+  if (isNaN(value) || value < 0) {
+    errors.push(`${name} must be a number of seconds`);
+  }
+  return value * 1000;
+};
+// Whole numbers like PORT, the modules read them themselves and fall back to
+// their default when they are not set.
+const checkCount = (
+  name: string,
+  errors: string[],
+  min: number,
+  max = Infinity
+) => {
+  if (!process.env[name]) {
+    return;
+  }
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(
+      max === Infinity
+        ? `${name} must be a whole number of at least ${min}`
+        : `${name} must be a whole number from ${min} to ${max}`
+    );
+  }
+};
+// PROVIDERS is a comma separated list like `chatgpt,openai`.
+const parseProviders = (errors: string[]) => {
+  if (!process.env.PROVIDERS) {
+    return undefined;
+  }
+  const providers = process.env.PROVIDERS.split(",").map((provider) =>
+    provider.trim()
+  ) as ProviderName[];
+  for (const provider of providers) {
+    if (!PROVIDERS.includes(provider)) {
+      errors.push(
+        `Unknown provider ${provider} in PROVIDERS, use ${PROVIDERS.join(", ")}`
+      );
+    }
+  }
+  return providers;
+};
+const configError = (errors: string[]) => {
+  const error = new Error(
+    `Invalid configuration:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+  );
+  error.name = "ConfigError";
+  return error;
+};
+export const isConfigError = (e: unknown) =>
+  e instanceof Error && e.name === "ConfigError";
+// Throws a ConfigError listing every problem.
+export const loadConfig = (): Config => {
+  const errors = [...configFileErrors];
+  const accounts = parseAccounts(errors).map((account, index) =>
+    loadAccountConfig(account, index, errors)
+  );
+  const ids = new Set<string>();
+  for (const account of accounts) {
+    if (ids.has(account.id)) {
+      errors.push(`Duplicate account id: ${account.id}`);
+    }
+    ids.add(account.id);
+  }
+  const config = {
+    accounts,
+    watchdogInterval: parseSeconds("WATCHDOG_INTERVAL", 5 * 60, errors),
+    adminToken: process.env.ADMIN_TOKEN ? process.env.ADMIN_TOKEN : undefined,
+    webhookSecret: process.env.WEBHOOK_SECRET
+      ? process.env.WEBHOOK_SECRET
+      : undefined,
+    webhookAllowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS
+      ? process.env.WEBHOOK_ALLOWED_HOSTS.split(",").map((host) =>
+          host.trim().toLowerCase()
+        )
+      : undefined,
+    moderation: process.env.MODERATION === "true",
+    responseCacheTTL: parseSeconds("RESPONSE_CACHE_TTL", 24 * 60 * 60, errors),
+    logLevel: (process.env.LOG_LEVEL || "info") as LogLevel,
+    logPrompts: process.env.LOG_PROMPTS === "true",
+    providers: parseProviders(errors),
   };
+  checkCount("PORT", errors, 0, 65535);
+  checkCount("INTERACTIVE_BURST", errors, 1);
+  checkCount("BATCH_CONCURRENCY", errors, 1);
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    errors.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}`);
+  }
+  for (const provider of config.providers || []) {
+    if (
+      PROVIDERS.includes(provider) &&
+      !accounts.some((account) => getProvider(account.authMode) === provider)
+    ) {
+      errors.push(`PROVIDERS lists ${provider}, but no account uses it`);
+    }
+  }
+  if (errors.length) {
+    // shared variables report the same problem for every account
+    throw configError([...new Set(errors)]);
+  }
+  return config;
 };
 const kv = new Keyv();
 
@@ -74,11 +471,47 @@ export const getAccessToken = async (sessionToken: string) => {
   });
   try {
     const accessToken = response.data.accessToken;
-    console.log("Got new access token");
-    console.log(accessToken);
+    logger.info("Got new access token");
     await kv.set(sessionToken, accessToken, 60 * 60 * 1000);
     return accessToken;
   } catch {
     return null;
   }
 };
+// `?limit=&offset=` query parameters, limit is capped to keep responses small.
+export const parsePagination = (
+  query: Record<string, unknown>,
+  defaultLimit = 20,
+  maxLimit = 100
+) => {
+  const limit = Math.min(
+    Math.max(Number(query.limit) || defaultLimit, 1),
+    maxLimit
+  );
+  const offset = Math.max(Number(query.offset) || 0, 0);
+  return { limit, offset };
+};
+const abortError = () => {
+  const error = new Error("Aborted");
+  error.name = "AbortError";
+  return error;
+};
+// Same name as the DOMException thrown by an aborted fetch.
+export const isAbortError = (e: unknown) =>
+  e instanceof Error && e.name === "AbortError";
+// Rejects as soon as the signal is aborted, without waiting for the promise.
+export const raceAbort = <T>(
+  promise: Promise<T>,
+  signal: AbortSignal
+): Promise<T> => {
+  if (signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener("abort", onAbort);
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+};
@@ -0,0 +1,185 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { NextFunction, Request, Response } from "express";
+import { format } from "util";
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+export const LOG_LEVELS: LogLevel[] = ["debug", "info", "warn", "error"];
+
+const REDACTED = "[REDACTED]";
+// values of these keys are never written, whatever they contain
+const SECRET_KEY =
+  /password|token$|secret|authorization|cookie|api-?key|nopechakey/i;
+// secrets which can show up inside any string
+const SECRET_PATTERNS: [RegExp, string][] = [
+  // access tokens are JWTs
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/\bsk-[A-Za-z0-9]{20,}/g, REDACTED],
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/(session-token=)[^;\s"',]+/g, `$1${REDACTED}`],
+];
+// shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 4;
+const MAX_DEPTH = 8;
+
+let minLevel = LOG_LEVELS.indexOf("info");
+let logContent = false;
+// passwords and tokens of the config, replaced wherever they appear
+const secrets = new Set<string>();
+
+const requestContext = new AsyncLocalStorage<{ requestId: string }>();
+
+export const configureLogger = (options: {
+  level: LogLevel;
+  logPrompts: boolean;
+}) => {
+  minLevel = LOG_LEVELS.indexOf(options.level);
+  logContent = options.logPrompts;
+};
+
+export const addSecret = (secret: string | undefined) => {
+  if (secret && secret.length >= MIN_SECRET_LENGTH) {
+    secrets.add(secret);
+  }
+};
+
+const redactString = (text: string) => {
+  for (const secret of secrets) {
+    text = text.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    text = text.replace(pattern, replacement);
+  }
+  return text;
+};
+
+// Copy of `value` which is safe to write, errors become plain objects.
+export const redact = (
+  value: unknown,
+  depth = 0,
+  seen = new WeakSet<object>()
+): unknown => {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return "[Circular]";
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  // axios and ChatGPT errors hold whole requests and responses
+  if (value instanceof Error) {
+    const { statusCode, code } = value as Error & {
+      statusCode?: number;
+      code?: string;
+    };
+    const { name, message, stack } = value;
+    return redact({ name, message, stack, statusCode, code }, depth + 1, seen);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item ? REDACTED : redact(item, depth + 1, seen),
+    ])
+  );
+};
+
+// Written with process.stdout, console itself is routed here by captureConsole.
+const write = (
+  level: LogLevel,
+  message: string,
+  fields: Record<string, unknown> = {}
+) => {
+  if (LOG_LEVELS.indexOf(level) < minLevel) {
+    return;
+  }
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(message),
+    requestId: getRequestId(),
+    ...(redact(fields) as Record<string, unknown>),
+  });
+  (level === "warn" || level === "error"
+    ? process.stderr
+    : process.stdout
+  ).write(line + "\n");
+};
+
+export const logger = {
+  debug: (message: string, fields?: Record<string, unknown>) =>
+    write("debug", message, fields),
+  info: (message: string, fields?: Record<string, unknown>) =>
+    write("info", message, fields),
+  warn: (message: string, fields?: Record<string, unknown>) =>
+    write("warn", message, fields),
+  error: (message: string, fields?: Record<string, unknown>) =>
+    write("error", message, fields),
+};
+
+// Prompts and answers are only logged with LOG_PROMPTS=true, otherwise just
+// their length.
+export const contentFields = (content: Record<string, string | undefined>) =>
+  Object.fromEntries(
+    Object.entries(content).map(([key, text]) =>
+      logContent ? [key, text] : [`${key}Length`, text?.length]
+    )
+  );
+
+// Output of dependencies, like the debug output of the ChatGPT clients, goes
+// through the logger too, so it is redacted and carries the request id.
+export const captureConsole = () => {
+  const levels: [keyof Console, LogLevel][] = [
+    ["debug", "debug"],
+    ["log", "info"],
+    ["info", "info"],
+    ["warn", "warn"],
+    ["error", "error"],
+  ];
+  for (const [method, level] of levels) {
+    // @ts-ignore
+    console[method] = (...args: unknown[]) => write(level, format(...args));
+  }
+};
+
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+// Runs `fn` with the request id, everything it logs (also asynchronously)
+// carries it.
+export const withRequestId = <T>(requestId: string | undefined, fn: () => T) =>
+  requestId ? requestContext.run({ requestId }, fn) : fn();
+
+// Takes the caller's `X-Request-Id` or makes one up, returns it in the same
+// header and logs every request once it is answered.
+export const requestLogger = (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const header = req.headers["x-request-id"];
+  const requestId =
+    typeof header === "string" && /^[\w.:-]{1,128}$/.test(header)
+      ? header
+      : randomUUID();
+  const start = Date.now();
+  res.setHeader("X-Request-Id", requestId);
+  res.on("finish", () =>
+    withRequestId(requestId, () =>
+      logger.info("Request", {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration: Date.now() - start,
+      })
+    )
+  );
+  withRequestId(requestId, next);
+};
@@ -0,0 +1,108 @@
+import {
+  collectDefaultMetrics,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+} from "prom-client";
+import { getAccounts, PRIORITIES } from "./accounts";
+
+export const registry = new Registry();
+collectDefaultMetrics({ register: registry });
+
+// ChatGPT answers take seconds to minutes
+const buckets = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+
+new Gauge({
+  name: "chatgpt_queue_depth",
+  help: "Messages waiting for a slot in the queue",
+  labelNames: ["account", "priority"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      for (const priority of PRIORITIES) {
+        this.set(
+          { account: account.id, priority },
+          account.waiting.filter((job) => job.priority === priority).length
+        );
+      }
+    }
+  },
+});
+
+new Gauge({
+  name: "chatgpt_queue_running",
+  help: "Messages holding a slot in the queue",
+  labelNames: ["account"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      this.set({ account: account.id }, account.running.length);
+    }
+  },
+});
+
+new Gauge({
+  name: "chatgpt_session_authenticated",
+  help: "1 if the latest check found the session authenticated",
+  labelNames: ["account"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      this.set({ account: account.id }, account.authenticated ? 1 : 0);
+    }
+  },
+});
+
+export const queueWaitTime = new Histogram({
+  name: "chatgpt_queue_wait_seconds",
+  help: "Time messages spent waiting in the queue",
+  labelNames: ["account", "priority"],
+  buckets,
+  registers: [registry],
+});
+
+// same value as Result.responseTime
+export const responseTime = new Histogram({
+  name: "chatgpt_response_time_seconds",
+  help: "Time ChatGPT took to answer",
+  labelNames: ["account"],
+  buckets,
+  registers: [registry],
+});
+
+export const messageErrors = new Counter({
+  name: "chatgpt_errors_total",
+  help: "Failed messages by ChatGPTError status code",
+  labelNames: ["account", "status_code"],
+  registers: [registry],
+});
+
+new Counter({
+  name: "chatgpt_session_refreshes_total",
+  help: "Sessions refreshed by the watchdog",
+  labelNames: ["account"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      this.inc({ account: account.id }, account.sessionRefreshes);
+    }
+  },
+});
+
+new Counter({
+  name: "chatgpt_session_resets_total",
+  help: "Sessions reset by the watchdog",
+  labelNames: ["account"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      this.inc({ account: account.id }, account.sessionResets);
+    }
+  },
+});
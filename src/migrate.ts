@@ -0,0 +1,12 @@
+import { execFileSync } from "child_process";
+import { DATABASE_URL } from "./db";
+
+// `npm run migrate`: prisma migrate deploy on the database the server uses,
+// DATABASE_FILE of CONFIG_FILE included.
+execFileSync("npx", ["prisma", "migrate", "deploy"], {
+  stdio: "inherit",
+  env: {
+    ...process.env,
+    DATABASE_URL,
+  },
+});
@@ -0,0 +1,78 @@
+import { randomUUID } from "crypto";
+import { ChatGPTError, ChatResponse, SendMessageOptions } from "./chatgpt";
+import { AccountConfig, raceAbort } from "./lib";
+import { Provider } from "./providers";
+
+// between two streamed words
+const DEFAULT_DELAY = 50;
+
+const mockError = (statusCode: number) => {
+  const error = new Error(`ChatGPT error ${statusCode}`) as ChatGPTError;
+  error.name = "ChatGPTError";
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sleep = (ms: number) =>
+  new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+// Offline stand-in for ChatGPTAPI and ChatGPTAPIBrowser (AUTH_MODE=mock). It
+// answers with the scripted response of the prompt (`mockResponses`) or echoes
+// it, streamed word by word. Markers in the prompt change what it does:
+// - `[mock:401]`, `[mock:403]` or `[mock:429]` fail with that status code
+// - `[mock:delay=<ms>]` waits that long before every word
+// - `[mock:flagged]` is flagged by sendModeration
+// With `mockIgnoreAbort` aborted answers are finished anyway, like
+// ChatGPTAPIBrowser does.
+export const createMockAPI = (config: AccountConfig): Provider => {
+  const delay = config.mockDelay ?? DEFAULT_DELAY;
+  let authenticated = false;
+  return {
+    ignoresAbort: config.mockIgnoreAbort,
+    initSession: async () => {
+      authenticated = true;
+    },
+    getIsAuthenticated: async () => authenticated,
+    refreshSession: async () => {
+      authenticated = true;
+      return "mock-access-token";
+    },
+    resetSession: async () => {
+      authenticated = true;
+      return "mock-access-token";
+    },
+    closeSession: async () => {
+      authenticated = false;
+    },
+    sendModeration: async (input: string) => ({
+      flagged: input.includes("[mock:flagged]"),
+      blocked: false,
+      moderation_id: `modr-${randomUUID()}`,
+    }),
+    sendMessage: async (
+      message: string,
+      opts: SendMessageOptions = {}
+    ): Promise<ChatResponse> => {
+      if (!authenticated) {
+        throw mockError(401);
+      }
+      const status = message.match(/\[mock:(401|403|429)\]/);
+      if (status) {
+        throw mockError(Number(status[1]));
+      }
+      const wait = Number(message.match(/\[mock:delay=(\d+)\]/)?.[1] ?? delay);
+      const text = config.mockResponses?.[message] ?? `You said: ${message}`;
+      const conversationId = opts.conversationId || randomUUID();
+      const messageId = randomUUID();
+      const abortSignal = config.mockIgnoreAbort ? undefined : opts.abortSignal;
+      let response = "";
+      // words keep the whitespace after them
+      for (const word of text.split(/(?<=\s)/)) {
+        await (abortSignal ? raceAbort(sleep(wait), abortSignal) : sleep(wait));
+        response += word;
+        opts.onProgress?.({ response, conversationId, messageId });
+      }
+      return { response, conversationId, messageId };
+    },
+  };
+};
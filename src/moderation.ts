@@ -0,0 +1,63 @@
+import { ModerationsJSONResult } from "./chatgpt";
+import { Account, pickAccount } from "./accounts";
+import { ProviderName } from "./lib";
+import { postFromPage } from "./backend";
+import { contentFields, logger } from "./logger";
+
+export interface ModerationError extends Error {
+  moderation: ModerationsJSONResult;
+}
+
+const moderationError = (moderation: ModerationsJSONResult) => {
+  const error = new Error("Message was flagged by moderation");
+  error.name = "ModerationError";
+  return Object.assign(error, { moderation }) as ModerationError;
+};
+
+export const isModerationError = (e: unknown): e is ModerationError =>
+  e instanceof Error && e.name === "ModerationError";
+
+// ChatGPTAPI has sendModeration, ChatGPTAPIBrowser doesn't.
+export const sendModeration = async (
+  account: Account,
+  input: string
+): Promise<ModerationsJSONResult> => {
+  if (!account.api) {
+    throw new Error(`Account ${account.id} is not started`);
+  }
+  if (typeof account.api.sendModeration === "function") {
+    return account.api.sendModeration(input);
+  }
+  return postFromPage(account, "/moderations", {
+    input,
+    model: "text-moderation-playground",
+  });
+};
+
+// Throws a ModerationError for flagged or blocked prompts. Errors of the
+// moderation call itself are thrown as well, unchecked prompts never pass.
+// `providers` are the ones the prompt may be sent to, see pickAccount.
+export const moderatePrompt = async (
+  input: string,
+  providers?: ProviderName[]
+) => {
+  const moderation = await sendModeration(pickAccount(providers), input);
+  if (moderation.flagged || moderation.blocked) {
+    logger.warn("Prompt flagged by moderation", {
+      moderationId: moderation.moderation_id,
+      ...contentFields({ prompt: input }),
+    });
+    throw moderationError(moderation);
+  }
+  return moderation;
+};
+
+export const toModerationJSON = (error: ModerationError) => ({
+  message: error.message,
+  error: "flagged",
+  moderation: {
+    flagged: error.moderation.flagged,
+    blocked: error.moderation.blocked,
+    moderationId: error.moderation.moderation_id,
+  },
+});
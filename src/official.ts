@@ -0,0 +1,135 @@
+import axios from "axios";
+import { randomUUID } from "crypto";
+import Keyv from "keyv";
+import { ChatGPTError, ChatResponse, SendMessageOptions } from "./chatgpt";
+import { AccountConfig, raceAbort } from "./lib";
+import { logger } from "./logger";
+import { Provider } from "./providers";
+import { createSqliteStore } from "./store";
+
+const DEFAULT_API_URL = "https://api.openai.com/v1";
+export const DEFAULT_MODEL = "gpt-3.5-turbo";
+// conversations of every official API account, in the message_cache table
+const NAMESPACE = "openai";
+const CHECK_TIMEOUT = 30 * 1000;
+
+// ChatGPTClient errors carry `status`, markFailure looks at `statusCode`.
+const toChatGPTError = (e: unknown) => {
+  const error = e as ChatGPTError & { status?: number };
+  if (error instanceof Error && error.status && !error.statusCode) {
+    error.name = "ChatGPTError";
+    error.statusCode = error.status;
+  }
+  return error;
+};
+
+// The official (paid) API through ChatGPTClient of @waylaidwanderer/chatgpt-api
+// (AUTH_MODE=apiKey). The API has no memory, ChatGPTClient keeps every
+// conversation in the database under its conversation id and builds the prompt
+// from the message and its parents, so sessions, regenerate and the
+// conversation routes work like they do with ChatGPT.
+export const createOfficialAPI = async (
+  config: AccountConfig
+): Promise<Provider> => {
+  const apiUrl = (config.openaiApiUrl || DEFAULT_API_URL).replace(/\/$/, "");
+  const headers = { Authorization: `Bearer ${config.openaiApiKey}` };
+  // @ts-ignore
+  const { ChatGPTClient } = await import("@waylaidwanderer/chatgpt-api");
+  const client = new ChatGPTClient(
+    config.openaiApiKey,
+    {
+      reverseProxyUrl: `${apiUrl}/chat/completions`,
+      modelOptions: {
+        model: config.openaiModel || DEFAULT_MODEL,
+      },
+      proxy: config.proxyServer,
+      debug: config.debug,
+    },
+    {
+      store: createSqliteStore(),
+      namespace: NAMESPACE,
+    }
+  );
+  (client.conversationsCache as Keyv).on("error", (e) => {
+    logger.error("Conversation store error", { account: config.id, error: e });
+  });
+  // a request to the API tells whether the key is (still) valid
+  const getIsAuthenticated = async () => {
+    try {
+      await axios.get(`${apiUrl}/models`, {
+        headers,
+        timeout: CHECK_TIMEOUT,
+      });
+      return true;
+    } catch (e) {
+      if (axios.isAxiosError(e) && e.response?.status === 401) {
+        return false;
+      }
+      throw e;
+    }
+  };
+  return {
+    initSession: async () => {
+      if (!(await getIsAuthenticated())) {
+        throw new Error("OpenAI rejected the API key");
+      }
+    },
+    getIsAuthenticated,
+    // an API key has no session to renew
+    refreshSession: async () => undefined,
+    resetSession: async () => undefined,
+    closeSession: async () => undefined,
+    sendModeration: async (input: string) => {
+      const { data } = await axios.post(
+        `${apiUrl}/moderations`,
+        { input },
+        { headers, timeout: CHECK_TIMEOUT }
+      );
+      return {
+        flagged: data.results[0].flagged,
+        blocked: false,
+        moderation_id: data.id,
+      };
+    },
+    sendMessage: async (
+      message: string,
+      opts: SendMessageOptions = {}
+    ): Promise<ChatResponse> => {
+      const abortController = new AbortController();
+      opts.abortSignal?.addEventListener("abort", () =>
+        abortController.abort()
+      );
+      // reported while streaming, ChatGPTClient makes one up too late
+      const conversationId = opts.conversationId || randomUUID();
+      // ChatGPTClient streams tokens, onProgress expects the text so far
+      let response = "";
+      const request = client.sendMessage(message, {
+        conversationId,
+        // the prompt of a variant starts from the same parent, the message ids
+        // are ChatGPTClient's own
+        parentMessageId: opts.parentMessageId,
+        abortController,
+        onProgress: opts.onProgress
+          ? (token: string) => {
+              response += token;
+              // the id of the answer is only known once it is stored
+              opts.onProgress!({ response, conversationId, messageId: "" });
+            }
+          : undefined,
+      });
+      try {
+        // an aborted stream never settles, the queue must not wait for it
+        const result = await (opts.abortSignal
+          ? raceAbort(request, opts.abortSignal)
+          : request);
+        return {
+          response: result.response,
+          conversationId: result.conversationId,
+          messageId: result.messageId,
+        };
+      } catch (e) {
+        throw toChatGPTError(e);
+      }
+    },
+  };
+};
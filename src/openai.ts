@@ -0,0 +1,107 @@
+import { randomUUID } from "crypto";
+
+// Request/response shapes of the OpenAI chat completions API, only the
+// fields this server understands.
+export interface ChatCompletionMessage {
+  role: "system" | "user" | "assistant" | string;
+  content: string | { type: string; text?: string }[] | null;
+  name?: string;
+}
+export interface ChatCompletionRequest {
+  messages?: ChatCompletionMessage[];
+  model?: string;
+  stream?: boolean;
+  user?: string;
+}
+
+export const DEFAULT_MODEL = "chatgpt";
+
+export const createCompletionId = () =>
+  `chatcmpl-${randomUUID().replace(/-/g, "")}`;
+
+const contentToText = (content: ChatCompletionMessage["content"]) => {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part.type === "text" && part.text)
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return "";
+};
+
+// ChatGPT keeps the history of a conversation itself, so when the request is
+// bound to a session only the latest user message has to be sent. Without a
+// session the whole transcript is flattened into a single prompt.
+export const messagesToPrompt = (
+  messages: ChatCompletionMessage[],
+  hasSession: boolean
+) => {
+  if (hasSession || messages.length === 1) {
+    const lastUserMessage = [...messages]
+      .reverse()
+      .find((message) => message.role === "user");
+    return contentToText((lastUserMessage || messages[0]).content);
+  }
+  return messages
+    .map((message) => `${message.role}: ${contentToText(message.content)}`)
+    .join("\n\n");
+};
+
+export const toCompletion = (id: string, model: string, content: string) => ({
+  id,
+  object: "chat.completion",
+  created: Math.floor(Date.now() / 1000),
+  model,
+  choices: [
+    {
+      index: 0,
+      message: {
+        role: "assistant",
+        content,
+      },
+      finish_reason: "stop",
+    },
+  ],
+  // the web API does not report token usage
+  usage: {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+  },
+});
+
+export const toCompletionChunk = (
+  id: string,
+  model: string,
+  delta: { role?: string; content?: string },
+  finishReason: string | null = null
+) => ({
+  id,
+  object: "chat.completion.chunk",
+  created: Math.floor(Date.now() / 1000),
+  model,
+  choices: [
+    {
+      index: 0,
+      delta,
+      finish_reason: finishReason,
+    },
+  ],
+});
+
+export const toError = (
+  message: string,
+  type = "invalid_request_error",
+  param: string | null = null,
+  code: string | null = null
+) => ({
+  error: {
+    message,
+    type,
+    param,
+    code,
+  },
+});
@@ -0,0 +1,107 @@
+import { AChatGPTAPI, ModerationsJSONResult } from "./chatgpt";
+import AsyncRetry from "async-retry";
+import { AccountConfig } from "./lib";
+import { addSecret, logger } from "./logger";
+import { createMockAPI } from "./mock";
+import {
+  createOfficialAPI,
+  DEFAULT_MODEL as DEFAULT_OPENAI_MODEL,
+} from "./official";
+
+// longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// What the server needs from a backend: the contract of ChatGPTAPI and
+// ChatGPTAPIBrowser. Backends without sendModeration are moderated through the
+// ChatGPT page, see src/moderation.ts.
+export interface Provider extends AChatGPTAPI {
+  sendModeration?(input: string): Promise<ModerationsJSONResult>;
+  // The client keeps working on an aborted message, its account stays busy
+  // until the answer is done. ChatGPTAPIBrowser ignores the abort signal.
+  ignoresAbort?: boolean;
+}
+
+// Model which answers the account's messages, the one ChatGPTAPI and
+// ChatGPTAPIBrowser pick themselves for ChatGPT.
+export const getModelName = (config: AccountConfig) => {
+  if (config.authMode === "mock") {
+    return config.mockModel || "mock";
+  }
+  if (config.authMode === "apiKey") {
+    return config.openaiModel || DEFAULT_OPENAI_MODEL;
+  }
+  return config.authMode === "browser" && config.isProAccount
+    ? "text-davinci-002-render-paid"
+    : "text-davinci-002-render-next";
+};
+
+// Starts the backend of the account's auth mode, getProvider (src/lib.ts)
+// tells which provider that is.
+export const createProvider = async (
+  config: AccountConfig
+): Promise<Provider> => {
+  for (const secret of [
+    config.password,
+    config.sessionToken,
+    config.accessToken,
+    config.openaiApiKey,
+    config.captchaToken,
+    config.nopechaKey,
+  ]) {
+    addSecret(secret);
+  }
+  if (config.authMode === "mock") {
+    const api = createMockAPI(config);
+    await api.initSession();
+    return api;
+  }
+  if (config.authMode === "apiKey") {
+    const api = await createOfficialAPI(config);
+    await api.initSession();
+    return api;
+  }
+  const { ChatGPTAPIBrowser, ChatGPTAPI } = await import("chatgpt");
+  if (config.authMode === "sessionToken") {
+    return new ChatGPTAPI({
+      // checked by loadConfig
+      sessionToken: config.sessionToken!,
+      clearanceToken: "proxy-dont-use-this-token",
+      backendApiBaseUrl: config.reverseProxyUrl + "/api",
+      apiBaseUrl: "https://explorer.api.openai.com/api",
+    });
+  }
+  if (config.authMode === "accessToken") {
+    return new ChatGPTAPI({
+      // ChatGPTAPI refuses to start without a session token, it is only used
+      // to renew the access token
+      sessionToken: config.sessionToken || "access-token-only",
+      accessToken: config.accessToken,
+      // kept until it expires unless a session token can renew it
+      accessTokenTTL: config.sessionToken ? undefined : MAX_TIMEOUT,
+      clearanceToken: "proxy-dont-use-this-token",
+      backendApiBaseUrl: config.reverseProxyUrl + "/api",
+      apiBaseUrl: "https://explorer.api.openai.com/api",
+    });
+  }
+  const api = new ChatGPTAPIBrowser({
+    ...config,
+    // checked by loadConfig
+    email: config.email!,
+    password: config.password!,
+  });
+  await AsyncRetry(
+    async () => {
+      await api.initSession();
+    },
+    {
+      retries: 5,
+      onRetry: (error) => {
+        logger.error("Starting chatgpt failed, retrying", {
+          account: config.id,
+          error,
+        });
+      },
+    }
+  );
+  return Object.assign(api, { ignoresAbort: true });
+};
@@ -0,0 +1,50 @@
+import { Request, Response } from "express";
+
+// Clients opt into Server-Sent Events with `Accept: text/event-stream`.
+export const wantsEventStream = (req: Request) =>
+  (req.headers.accept || "").includes("text/event-stream");
+
+export const initEventStream = (res: Response) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  // disable proxy buffering (nginx), otherwise events arrive in one chunk
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+};
+
+export const sendEvent = (res: Response, data: unknown, event?: string) => {
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  if (event) {
+    res.write(`event: ${event}\n`);
+  }
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  res.write(`data: ${payload}\n\n`);
+};
+
+// ChatGPT reports the whole text generated so far on every update, this turns
+// those snapshots into the newly added text.
+export const createDeltaEmitter = (emit: (delta: string) => void) => {
+  let sent = "";
+  return (text: string) => {
+    if (text.length <= sent.length || !text.startsWith(sent)) {
+      return;
+    }
+    emit(text.slice(sent.length));
+    sent = text;
+  };
+};
+
+// Aborts the job behind a stream when the client goes away before its end.
+export const abortOnClose = (res: Response) => {
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  return abortController.signal;
+};
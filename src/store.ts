@@ -0,0 +1,141 @@
+import Keyv from "keyv";
+import KeyvSqlite from "@keyv/sqlite";
+import { createHash } from "crypto";
+import { hostname } from "os";
+import { logger } from "./logger";
+import { DATABASE_FILE } from "./db";
+
+// Status of a message sent with `stream: enable`, read back through
+// `GET /message/:messageId`.
+export type MessageStatus = "queued" | "process" | "done" | "error" | "aborted";
+export interface MessageState {
+  response: string;
+  status: MessageStatus;
+  conversationId?: string;
+  messageId?: string;
+  error?: string;
+  // process which owns the job, see recoverInterruptedMessages
+  instance?: string;
+}
+
+// Answer to a one-time prompt, served again for the same prompt and model.
+export interface CachedResponse {
+  response: string;
+  cachedAt: number;
+}
+
+export const MESSAGE_TTL = 30 * 60 * 1000;
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+const NAMESPACE = "message";
+const RESPONSE_NAMESPACE = "response";
+// Processes sharing the database need distinct ids, a restarted container
+// keeps its hostname so it can find the jobs it left behind.
+const INSTANCE_ID = process.env.INSTANCE_ID || hostname();
+
+// Same database as Prisma (src/db.ts), the message_cache table is created
+// by the migrations with the layout @keyv/sqlite expects. Keyv claims the
+// store for its namespace, every Keyv gets its own.
+export const createSqliteStore = () =>
+  new KeyvSqlite({
+    uri: `sqlite://${DATABASE_FILE}`,
+    table: "message_cache",
+    busyTimeout: 10 * 1000,
+  });
+const sqlite = createSqliteStore();
+const messageStore = new Keyv<MessageState>({
+  store: sqlite,
+  namespace: NAMESPACE,
+});
+messageStore.on("error", (e) => {
+  logger.error("Message store error", { error: e });
+});
+const responseCache = new Keyv<CachedResponse>({
+  store: createSqliteStore(),
+  namespace: RESPONSE_NAMESPACE,
+});
+responseCache.on("error", (e) => {
+  logger.error("Response cache error", { error: e });
+});
+
+export const getMessageState = (messageId: string) =>
+  messageStore.get(messageId);
+
+export const setMessageState = (messageId: string, state: MessageState) =>
+  messageStore.set(messageId, { ...state, instance: INSTANCE_ID }, MESSAGE_TTL);
+
+// Progress updates arrive faster than SQLite writes them. Only one write per
+// message is in flight, later updates replace the pending one, so an old
+// partial response can never overwrite the final state.
+export const createMessageWriter = (messageId: string) => {
+  let latest: MessageState | undefined;
+  let writing: Promise<void> | undefined;
+  const drain = async () => {
+    while (latest) {
+      const state = latest;
+      latest = undefined;
+      try {
+        await setMessageState(messageId, state);
+      } catch (e) {
+        logger.error("Saving message failed", { messageId, error: e });
+      }
+    }
+    writing = undefined;
+  };
+  // resolves once the given state is stored
+  return (state: MessageState) => {
+    latest = state;
+    if (!writing) {
+      writing = drain();
+    }
+    return writing;
+  };
+};
+
+// Prompts which only differ in whitespace share an entry.
+export const getCacheKey = (prompt: string, model: string) =>
+  createHash("sha256")
+    .update(JSON.stringify([model, prompt.trim().replace(/\s+/g, " ")]))
+    .digest("hex");
+
+export const getCachedResponse = (cacheKey: string) =>
+  responseCache.get(cacheKey);
+
+export const setCachedResponse = (
+  cacheKey: string,
+  response: string,
+  ttl: number
+) => responseCache.set(cacheKey, { response, cachedAt: Date.now() }, ttl);
+
+// Keyv only drops expired rows when they are read again.
+export const cleanupExpiredMessages = async () => {
+  for (const namespace of [NAMESPACE, RESPONSE_NAMESPACE]) {
+    await sqlite.query(
+      `DELETE FROM message_cache WHERE key LIKE ? AND json_extract(value, '$.expires') < ?`,
+      `${namespace}:%`,
+      Date.now()
+    );
+  }
+};
+
+// Jobs this instance was running before a restart will never finish, report
+// them as failed instead of leaving them queued or in process until they expire.
+export const recoverInterruptedMessages = async () => {
+  await sqlite.query(
+    `UPDATE message_cache
+      SET value = json_set(value, '$.value.status', 'error', '$.value.error', 'Interrupted by a server restart')
+      WHERE key LIKE ?
+        AND json_extract(value, '$.value.status') IN ('queued', 'process')
+        AND json_extract(value, '$.value.instance') = ?`,
+    `${NAMESPACE}:%`,
+    INSTANCE_ID
+  );
+};
+
+export const startMessageCleanup = () => {
+  const timer = setInterval(() => {
+    cleanupExpiredMessages().catch((e) => {
+      logger.error("Cleaning up expired messages failed", { error: e });
+    });
+  }, CLEANUP_INTERVAL);
+  timer.unref();
+};
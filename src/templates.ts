@@ -0,0 +1,127 @@
+import { Template } from "@prisma/client";
+
+// `{{name}}`, spaces inside the braces are allowed
+const VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+// names are part of the URL
+const NAME = /^[\w-]{1,64}$/;
+
+export interface TemplateInput {
+  name: string;
+  description: string | null;
+  content: string;
+  defaults: Record<string, string>;
+}
+
+// Names of the placeholders in `content`, in order of appearance.
+export const getVariables = (content: string) => [
+  ...new Set([...content.matchAll(VARIABLE)].map((match) => match[1])),
+];
+
+const parseDefaults = (value: unknown, variables: string[]) => {
+  if (value === null) {
+    return {};
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("defaults must be an object");
+  }
+  for (const [name, text] of Object.entries(value as object)) {
+    if (!variables.includes(name)) {
+      throw new Error(`defaults.${name} is not a variable of the template`);
+    }
+    if (typeof text !== "string") {
+      throw new Error(`defaults.${name} must be a string`);
+    }
+  }
+  return value as Record<string, string>;
+};
+
+// Checks a new template, or with `current` the fields of an update, which
+// replace the ones of the current template.
+export const parseTemplate = (
+  body: Record<string, unknown>,
+  current?: Template
+): TemplateInput => {
+  const {
+    name = current?.name,
+    description,
+    content = current?.content,
+    defaults,
+  } = body;
+  if (typeof name !== "string" || !NAME.test(name)) {
+    throw new Error("name must be 1 to 64 letters, digits, _ or -");
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new Error("content is required");
+  }
+  if (
+    description !== undefined &&
+    description !== null &&
+    typeof description !== "string"
+  ) {
+    throw new Error("description must be a string");
+  }
+  const variables = getVariables(content);
+  return {
+    name,
+    description:
+      description === undefined
+        ? current?.description ?? null
+        : (description as string | null),
+    content,
+    // defaults of variables which are no longer in the content are dropped
+    defaults:
+      defaults === undefined
+        ? Object.fromEntries(
+            Object.entries(
+              JSON.parse(current?.defaults || "{}") as Record<string, string>
+            ).filter(([name]) => variables.includes(name))
+          )
+        : parseDefaults(defaults, variables),
+  };
+};
+
+// Fills in the placeholders, variables which aren't passed take their
+// default. Throws if a variable has neither or if an unknown one is passed,
+// callers which drifted from the template notice.
+export const renderTemplate = (template: Template, variables: unknown = {}) => {
+  if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+    throw new Error("variables must be an object");
+  }
+  const names = getVariables(template.content);
+  const unknown = Object.keys(variables).filter(
+    (name) => !names.includes(name)
+  );
+  if (unknown.length) {
+    throw new Error(`Unknown variables: ${unknown.join(", ")}`);
+  }
+  const values: Record<string, string> = JSON.parse(template.defaults);
+  for (const [name, value] of Object.entries(variables)) {
+    if (!["string", "number", "boolean"].includes(typeof value)) {
+      throw new Error(`variables.${name} must be a string`);
+    }
+    values[name] = String(value);
+  }
+  const missing = names.filter((name) => values[name] === undefined);
+  if (missing.length) {
+    throw new Error(`Missing variables: ${missing.join(", ")}`);
+  }
+  // a function, so that `$` in the values is taken literally
+  return template.content.replace(VARIABLE, (match, name) => values[name]);
+};
+
+export const toTemplateJSON = (template: Template) => {
+  const defaults: Record<string, string> = JSON.parse(template.defaults);
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    content: template.content,
+    variables: getVariables(template.content).map((name) => ({
+      name,
+      required: defaults[name] === undefined,
+      default: defaults[name] ?? null,
+    })),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+};
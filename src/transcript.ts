@@ -0,0 +1,338 @@
+import { prisma } from "./db";
+import { parseFeedback } from "./feedback";
+
+export type TranscriptFormat = "json" | "md" | "jsonl";
+export const TRANSCRIPT_FORMATS: TranscriptFormat[] = ["json", "md", "jsonl"];
+
+export interface TranscriptConversation {
+  conversationId: string;
+  // latest message, the next message of the conversation replies to it
+  messageId: string;
+  title: string | null;
+  active: boolean;
+  accountId: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+export interface TranscriptMessage {
+  conversationId: string;
+  messageId: string;
+  promptMessageId: string | null;
+  parentMessageId: string | null;
+  action: string;
+  request: string;
+  response: string;
+  responseTime: number;
+  accountId: string | null;
+  feedback: { rating: string; tags: string[]; text: string | null } | null;
+  createdAt: Date;
+}
+export interface Transcript {
+  sessionId: string;
+  exportedAt: Date;
+  conversations: TranscriptConversation[];
+  messages: TranscriptMessage[];
+}
+
+// `apiKeyId` limits the messages to the ones the key sent.
+export const exportSession = async (
+  sessionId: string,
+  apiKeyId?: number
+): Promise<Transcript> => {
+  const [conversations, results] = await Promise.all([
+    prisma.conversations.findMany({
+      where: {
+        sessionId,
+      },
+      orderBy: {
+        createdAt: "asc",
+      },
+    }),
+    prisma.result.findMany({
+      where: {
+        sessionId,
+        apiKeyId,
+      },
+      include: {
+        feedback: true,
+      },
+      orderBy: {
+        id: "asc",
+      },
+    }),
+  ]);
+  return {
+    sessionId,
+    exportedAt: new Date(),
+    conversations: conversations.map((conversation) => ({
+      conversationId: conversation.conversationId,
+      messageId: conversation.messageId,
+      title: conversation.title,
+      active: conversation.active,
+      accountId: conversation.accountId,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+    })),
+    messages: results.map((result) => ({
+      conversationId: result.conversationsId,
+      messageId: result.messageId,
+      promptMessageId: result.promptMessageId,
+      parentMessageId: result.parentMessageId,
+      action: result.action,
+      request: result.request,
+      response: result.response,
+      responseTime: result.responseTime,
+      accountId: result.accountId,
+      feedback: result.feedback
+        ? {
+            rating: result.feedback.rating,
+            tags: result.feedback.tags ? result.feedback.tags.split(",") : [],
+            text: result.feedback.text,
+          }
+        : null,
+      createdAt: result.createdAt,
+    })),
+  };
+};
+
+// A `session` line, then one line per conversation and per message.
+export const toJSONL = ({ conversations, messages, ...session }: Transcript) =>
+  [
+    { type: "session", ...session },
+    ...conversations.map((conversation) => ({
+      type: "conversation",
+      ...conversation,
+    })),
+    ...messages.map((message) => ({ type: "message", ...message })),
+  ]
+    .map((line) => JSON.stringify(line))
+    .join("\n") + "\n";
+
+// For people to read, it can't be imported again.
+export const toMarkdown = (transcript: Transcript) => {
+  const lines = [
+    `# Session ${transcript.sessionId}`,
+    "",
+    `Exported at ${transcript.exportedAt.toISOString()}`,
+  ];
+  const conversationIds = [
+    ...transcript.conversations.map(({ conversationId }) => conversationId),
+    ...transcript.messages.map(({ conversationId }) => conversationId),
+  ].filter((id, index, ids) => ids.indexOf(id) === index);
+  for (const conversationId of conversationIds) {
+    const conversation = transcript.conversations.find(
+      (conversation) => conversation.conversationId === conversationId
+    );
+    lines.push(
+      "",
+      `## ${conversation?.title || "Untitled"} (\`${conversationId}\`)`
+    );
+    for (const message of transcript.messages) {
+      if (message.conversationId !== conversationId) {
+        continue;
+      }
+      const time = message.createdAt.toISOString();
+      lines.push(
+        "",
+        `**User** · ${time}${
+          message.promptMessageId ? ` · \`${message.promptMessageId}\`` : ""
+        }`,
+        "",
+        message.request,
+        "",
+        `**ChatGPT**${message.action === "variant" ? " (regenerated)" : ""}` +
+          ` · ${time} · \`${message.messageId}\``,
+        "",
+        message.response
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+};
+
+const toDate = (value: unknown, field: string) => {
+  const date = new Date(value as string);
+  if (typeof value !== "string" || isNaN(+date)) {
+    throw new Error(`${field} must be a date`);
+  }
+  return date;
+};
+
+const toString = (value: unknown, field: string) => {
+  if (typeof value !== "string" || !value) {
+    throw new Error(`${field} is required`);
+  }
+  return value;
+};
+
+const toOptionalString = (value: unknown, field: string) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== "string") {
+    throw new Error(`${field} must be a string`);
+  }
+  return value;
+};
+
+// Imported ratings take the values POST /message/:messageId/feedback does.
+const toFeedback = (feedback: Record<string, unknown>, field: string) => {
+  try {
+    const { rating, tags, text } = parseFeedback({
+      ...feedback,
+      text: feedback.text ?? undefined,
+    });
+    return { rating, tags, text: text ?? null };
+  } catch (e) {
+    throw new Error(`${field}: ${(e as Error).message}`);
+  }
+};
+
+// Checks every field of an exported transcript (`json` or parsed `jsonl`),
+// the errors name the first invalid entry.
+export const parseTranscript = (body: unknown): Transcript => {
+  const { sessionId, exportedAt, conversations, messages } = (body ||
+    {}) as Record<string, unknown>;
+  if (!Array.isArray(conversations) || !Array.isArray(messages)) {
+    throw new Error("conversations and messages must be arrays");
+  }
+  const conversationIds = conversations.map(
+    (conversation) => conversation.conversationId
+  );
+  if (new Set(conversationIds).size !== conversationIds.length) {
+    throw new Error("conversations contains the same conversationId twice");
+  }
+  // the session continues at most one conversation
+  const active = conversations.filter(
+    (conversation) => conversation.active === true
+  );
+  return {
+    sessionId: toString(sessionId, "sessionId"),
+    exportedAt: exportedAt ? toDate(exportedAt, "exportedAt") : new Date(),
+    conversations: conversations.map((conversation, index) => {
+      const field = (name: string) => `conversations[${index}].${name}`;
+      return {
+        conversationId: toString(
+          conversation.conversationId,
+          field("conversationId")
+        ),
+        messageId: toString(conversation.messageId, field("messageId")),
+        title: toOptionalString(conversation.title, field("title")),
+        active: conversation === active[active.length - 1],
+        accountId: toOptionalString(conversation.accountId, field("accountId")),
+        createdAt: toDate(conversation.createdAt, field("createdAt")),
+        updatedAt: toDate(conversation.updatedAt, field("updatedAt")),
+      };
+    }),
+    messages: messages.map((message, index) => {
+      const field = (name: string) => `messages[${index}].${name}`;
+      const { feedback } = message;
+      return {
+        conversationId: toString(
+          message.conversationId,
+          field("conversationId")
+        ),
+        messageId: toString(message.messageId, field("messageId")),
+        promptMessageId: toOptionalString(
+          message.promptMessageId,
+          field("promptMessageId")
+        ),
+        parentMessageId: toOptionalString(
+          message.parentMessageId,
+          field("parentMessageId")
+        ),
+        action: message.action === "variant" ? "variant" : "next",
+        request: toString(message.request, field("request")),
+        response: toOptionalString(message.response, field("response")) || "",
+        responseTime: Number(message.responseTime) || 0,
+        accountId: toOptionalString(message.accountId, field("accountId")),
+        feedback: feedback ? toFeedback(feedback, field("feedback")) : null,
+        createdAt: toDate(message.createdAt, field("createdAt")),
+      };
+    }),
+  };
+};
+
+export const parseJSONL = (text: string) => {
+  const transcript: Record<string, unknown> & {
+    conversations: unknown[];
+    messages: unknown[];
+  } = { conversations: [], messages: [] };
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Line ${index + 1} is not valid JSON`);
+    }
+    const { type, ...fields } = entry;
+    if (type === "session") {
+      Object.assign(transcript, fields);
+    } else if (type === "conversation") {
+      transcript.conversations.push(fields);
+    } else if (type === "message") {
+      transcript.messages.push(fields);
+    } else {
+      throw new Error(`Line ${index + 1} has an unknown type: ${type}`);
+    }
+  });
+  return transcript;
+};
+
+// Stores the transcript under `sessionId`, which doesn't have to be the
+// session it was exported from. With `replace` the current conversations and
+// history of the session are deleted first. The messages are stored as sent
+// with `apiKeyId`.
+export const importSession = async (
+  sessionId: string,
+  transcript: Transcript,
+  replace = false,
+  apiKeyId?: number
+) => {
+  await prisma.$transaction([
+    ...(replace
+      ? [
+          prisma.conversations.deleteMany({
+            where: {
+              sessionId,
+            },
+          }),
+          prisma.result.deleteMany({
+            where: {
+              sessionId,
+            },
+          }),
+        ]
+      : []),
+    // SQLite doesn't support createMany
+    ...transcript.conversations.map((conversation) =>
+      prisma.conversations.create({
+        data: {
+          ...conversation,
+          sessionId,
+        },
+      })
+    ),
+    ...transcript.messages.map(({ conversationId, feedback, ...message }) =>
+      prisma.result.create({
+        data: {
+          ...message,
+          conversationsId: conversationId,
+          sessionId,
+          apiKeyId,
+          feedback: feedback
+            ? {
+                create: {
+                  ...feedback,
+                  tags: feedback.tags.join(","),
+                },
+              }
+            : undefined,
+        },
+      })
+    ),
+  ]);
+};
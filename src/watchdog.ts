@@ -0,0 +1,146 @@
+import {
+  Account,
+  accountUnavailableError,
+  getAccounts,
+  isRotating,
+  markHealthy,
+  markUnhealthy,
+} from "./accounts";
+import { logger } from "./logger";
+
+// getIsAuthenticated() of a stuck browser page never returns
+const CHECK_TIMEOUT = 30 * 1000;
+
+const withTimeout = <T>(promise: Promise<T>, timeout: number) =>
+  new Promise<T>((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeout}ms`)),
+      timeout
+    );
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+
+export const checkAuthentication = async (account: Account) => {
+  let authenticated = false;
+  try {
+    if (!account.api) {
+      throw accountUnavailableError(account);
+    }
+    authenticated = await withTimeout(
+      account.api.getIsAuthenticated(),
+      CHECK_TIMEOUT
+    );
+  } catch (e) {
+    logger.error("Checking session failed", { account: account.id, error: e });
+  }
+  account.authenticated = authenticated;
+  account.checkedAt = Date.now();
+  return authenticated;
+};
+
+const pendingChecks = new Map<Account, Promise<boolean>>();
+
+// For probes: a result younger than `maxAge` is answered as it is and a check
+// which is running is shared, so they don't ask ChatGPT on every request.
+export const getAuthentication = (account: Account, maxAge: number) => {
+  if (account.checkedAt && Date.now() - account.checkedAt < maxAge) {
+    return Promise.resolve(!!account.authenticated);
+  }
+  let check = pendingChecks.get(account);
+  if (!check) {
+    check = checkAuthentication(account).finally(() =>
+      pendingChecks.delete(account)
+    );
+    pendingChecks.set(account, check);
+  }
+  return check;
+};
+
+// Tries the cheap refreshSession (page reload, new access token) first and
+// falls back to resetSession (new login).
+const restoreSession = async (account: Account) => {
+  const { api } = account;
+  if (!api) {
+    return false;
+  }
+  for (const action of ["refreshSession", "resetSession"] as const) {
+    logger.info(`Watchdog: ${action}`, { account: account.id });
+    if (action === "refreshSession") {
+      account.sessionRefreshes++;
+    } else {
+      account.sessionResets++;
+    }
+    try {
+      await api[action]();
+    } catch (e) {
+      logger.error(`Watchdog: ${action} failed`, {
+        account: account.id,
+        error: e,
+      });
+    }
+    if (await checkAuthentication(account)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const checking = new Set<Account>();
+
+export const isChecking = (account: Account) => checking.has(account);
+
+// Busy accounts are skipped, a running message proves or disproves the
+// session by itself. So are accounts whose credentials are being replaced.
+export const watchAccount = async (account: Account) => {
+  if (
+    !account.api ||
+    checking.has(account) ||
+    account.running.length ||
+    isRotating(account)
+  ) {
+    return;
+  }
+  checking.add(account);
+  try {
+    if (await checkAuthentication(account)) {
+      return;
+    }
+    logger.warn("Watchdog: session lost", { account: account.id });
+    // keep new messages away while the session is restored
+    markUnhealthy(account, Infinity);
+    if (await restoreSession(account)) {
+      logger.info("Watchdog: session restored", { account: account.id });
+      markHealthy(account);
+    } else {
+      account.failedChecks++;
+      // routing may try it again after the usual cooldown
+      markUnhealthy(account);
+    }
+  } finally {
+    checking.delete(account);
+  }
+};
+
+export const startWatchdog = (interval: number) => {
+  if (!interval) {
+    return;
+  }
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    // one at a time, a reset starts a whole new browser
+    for (const account of getAccounts()) {
+      await watchAccount(account).catch((e) => {
+        logger.error("Watchdog: checking failed", {
+          account: account.id,
+          error: e,
+        });
+      });
+    }
+    running = false;
+  }, interval);
+  timer.unref();
+};
@@ -0,0 +1,284 @@
+import axios from "axios";
+import AsyncRetry from "async-retry";
+import { createHmac } from "crypto";
+import { lookup, LookupAddress, LookupOptions } from "dns";
+import http from "http";
+import https from "https";
+import { BlockList, isIP, isIPv4, LookupFunction } from "net";
+import { prisma } from "./db";
+import { logger } from "./logger";
+
+export type WebhookEvent = "message.done" | "message.error" | "message.aborted";
+export interface WebhookPayload {
+  event: WebhookEvent;
+  messageId: string;
+  sessionId?: string;
+  response?: string;
+  conversationId?: string;
+  error?: string;
+}
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+// `X-Signature: sha256=<hex>` is the HMAC of `<X-Timestamp>.<body>`, receivers
+// should reject old timestamps to prevent replays.
+export const signPayload = (body: string, timestamp: number, secret: string) =>
+  `sha256=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Loopback, private, link-local (cloud metadata services), shared and reserved
+// ranges. Callbacks must not reach services next to the server.
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+] as const) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  // NAT64 addresses can point to any of the above, IPv4-mapped ones are
+  // checked against the IPv4 ranges by BlockList itself
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+] as const) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const isPrivateAddress = (address: string) =>
+  PRIVATE_ADDRESSES.check(address, isIPv4(address) ? "ipv4" : "ipv6");
+
+// Throws unless the callback URL is http(s) and its host is public, or listed
+// in `allowedHosts` (WEBHOOK_ALLOWED_HOSTS), which then is the only hosts
+// allowed. Host names are resolved when the callback is delivered, see
+// lookupPublic.
+export const checkCallbackUrl = (
+  callbackUrl: unknown,
+  allowedHosts?: string[]
+) => {
+  let url: URL;
+  try {
+    url = new URL(callbackUrl as string);
+  } catch {
+    throw new Error("callbackUrl must be an http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("callbackUrl must be an http(s) URL");
+  }
+  // IPv6 hosts keep their brackets
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (allowedHosts) {
+    if (!allowedHosts.includes(host)) {
+      throw new Error(`callbackUrl host ${host} is not allowed`);
+    }
+    return;
+  }
+  if (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    (isIP(host) && isPrivateAddress(host))
+  ) {
+    throw new Error("callbackUrl must not point to a private address");
+  }
+};
+
+// Fails the connection when the host name resolves to a private address, the
+// address is checked where it is used so that DNS can't change it afterwards.
+const lookupPublic = ((
+  hostname: string,
+  options: LookupOptions,
+  callback: (
+    error: Error | null,
+    address: string | LookupAddress[],
+    family: number
+  ) => void
+) =>
+  lookup(hostname, options, (error, address, family) => {
+    // an array of addresses with `all`, which net asks for since Node 20
+    const addresses = Array.isArray(address)
+      ? address.map((entry) => entry.address)
+      : [address];
+    const blocked = error ? undefined : addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to the private address ${blocked}`),
+        address,
+        family
+      );
+    }
+    callback(error, address, family);
+  })) as LookupFunction;
+const httpAgent = new http.Agent({ lookup: lookupPublic });
+const httpsAgent = new https.Agent({ lookup: lookupPublic });
+
+// Posts the payload with exponential backoff (1s, 2s, 4s...), every attempt
+// is recorded on the delivery row.
+const attemptDelivery = async (
+  deliveryId: number,
+  secret: string,
+  allowedHosts?: string[]
+) => {
+  const delivery = await prisma.webhookDelivery.findUniqueOrThrow({
+    where: {
+      id: deliveryId,
+    },
+  });
+  // resumed deliveries were accepted under the settings of an earlier start
+  try {
+    checkCallbackUrl(delivery.url, allowedHosts);
+  } catch (e) {
+    logger.warn("Webhook delivery refused", { deliveryId, error: e });
+    await prisma.webhookDelivery.update({
+      where: {
+        id: deliveryId,
+      },
+      data: {
+        status: "failed",
+        lastError: `${e}`,
+      },
+    });
+    return;
+  }
+  try {
+    await AsyncRetry(
+      async (bail) => {
+        const timestamp = Date.now();
+        let lastStatus: number | undefined;
+        let lastError: string | undefined;
+        try {
+          const response = await axios.post(delivery.url, delivery.payload, {
+            headers: {
+              "Content-Type": "application/json",
+              "X-Timestamp": `${timestamp}`,
+              "X-Signature": signPayload(delivery.payload, timestamp, secret),
+              "X-Webhook-Event": delivery.event,
+            },
+            timeout: DELIVERY_TIMEOUT,
+            // every status is handled below
+            validateStatus: () => true,
+            // a redirect could lead anywhere
+            maxRedirects: 0,
+            // allowed hosts may be private
+            ...(allowedHosts ? {} : { httpAgent, httpsAgent }),
+          });
+          lastStatus = response.status;
+          if (response.status < 200 || response.status >= 300) {
+            lastError = `Callback returned ${response.status}`;
+          }
+        } catch (e) {
+          lastError = `${e}`;
+        }
+        await prisma.webhookDelivery.update({
+          where: {
+            id: deliveryId,
+          },
+          data: {
+            attempts: {
+              increment: 1,
+            },
+            lastStatus,
+            lastError: lastError || null,
+            ...(lastError
+              ? {}
+              : {
+                  status: "delivered",
+                  deliveredAt: new Date(),
+                }),
+          },
+        });
+        if (!lastError) {
+          return;
+        }
+        const error = new Error(lastError);
+        // the receiver rejected the payload itself, retrying won't help
+        if (
+          lastStatus &&
+          lastStatus >= 400 &&
+          lastStatus < 500 &&
+          ![408, 429].includes(lastStatus)
+        ) {
+          return bail(error);
+        }
+        throw error;
+      },
+      {
+        retries: 5,
+        factor: 2,
+        minTimeout: 1000,
+      }
+    );
+  } catch (e) {
+    logger.error("Webhook delivery failed", {
+      deliveryId,
+      url: delivery.url,
+      error: e,
+    });
+    await prisma.webhookDelivery.update({
+      where: {
+        id: deliveryId,
+      },
+      data: {
+        status: "failed",
+      },
+    });
+  }
+};
+
+export const deliverWebhook = async (
+  url: string,
+  payload: WebhookPayload,
+  secret: string,
+  allowedHosts?: string[]
+) => {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      messageId: payload.messageId,
+      url,
+      event: payload.event,
+      payload: JSON.stringify(payload),
+    },
+  });
+  await attemptDelivery(delivery.id, secret, allowedHosts);
+};
+
+// Deliveries which were still retrying when the server stopped.
+export const resumeWebhookDeliveries = async (
+  secret: string,
+  allowedHosts?: string[]
+) => {
+  const deliveries = await prisma.webhookDelivery.findMany({
+    where: {
+      status: "pending",
+    },
+    select: {
+      id: true,
+    },
+  });
+  for (const { id } of deliveries) {
+    attemptDelivery(id, secret, allowedHosts).catch((e) =>
+      logger.error("Webhook delivery failed", { deliveryId: id, error: e })
+    );
+  }
+};
+
+export const getWebhookDeliveries = (messageId: string) =>
+  prisma.webhookDelivery.findMany({
+    where: {
+      messageId,
+    },
+    orderBy: {
+      id: "asc",
+    },
+  });
@@ -0,0 +1,67 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer, waitFor } from "./helpers";
+
+// the mock finishes aborted answers like ChatGPTAPIBrowser
+describe("aborting on a client which ignores the abort", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer({ MOCK_IGNORE_ABORT: "true" }));
+  });
+  after(() => close());
+
+  it("keeps the account busy until the answer is done", async () => {
+    const { data } = await client.post(
+      "/message",
+      { message: "Take your time [mock:delay=100]" },
+      { headers: { stream: "enable" } }
+    );
+    await waitFor(async () => {
+      const { data: state } = await client.get(`/message/${data.messageId}`);
+      return state.status === "process";
+    });
+    const abort = await client.post(`/message/${data.messageId}/abort`);
+    assert.equal(abort.status, 200);
+    assert.equal(abort.data.released, false);
+    const { data: state } = await client.get(`/message/${data.messageId}`);
+    assert.equal(state.status, "aborted");
+    const busy = await client.get("/queue");
+    assert.equal(busy.data.running, 1);
+    await waitFor(async () => {
+      const { data: queue } = await client.get("/queue");
+      return queue.running === 0;
+    });
+    const done = await client.get(`/message/${data.messageId}`);
+    assert.equal(done.data.status, "aborted");
+  });
+
+  it("releases queued messages right away", async () => {
+    const running = await client.post(
+      "/message",
+      { message: "First [mock:delay=100]" },
+      { headers: { stream: "enable" } }
+    );
+    const queued = await client.post(
+      "/message",
+      { message: "Second" },
+      { headers: { stream: "enable" } }
+    );
+    await waitFor(async () => {
+      const { data: state } = await client.get(
+        `/message/${queued.data.messageId}`
+      );
+      return state.status === "queued";
+    });
+    const abort = await client.post(`/message/${queued.data.messageId}/abort`);
+    assert.equal(abort.data.released, true);
+    await waitFor(async () => {
+      const { data: state } = await client.get(
+        `/message/${running.data.messageId}`
+      );
+      return state.status === "done";
+    });
+  });
+});
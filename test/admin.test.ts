@@ -0,0 +1,268 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { sleep, startServer } from "./helpers";
+
+const ADMIN_TOKEN = "test-admin-token";
+const admin = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+describe("admin API and API keys", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer({ ADMIN_TOKEN }));
+  });
+  after(() => close());
+
+  it("requires the admin token", async () => {
+    const { status } = await client.get("/admin/keys", {
+      headers: { Authorization: "Bearer wrong" },
+    });
+    assert.equal(status, 401);
+  });
+
+  it("keeps the health checks public without account details", async () => {
+    const { status, data } = await client.get("/readyz");
+    assert.equal(status, 200);
+    assert.equal(data.status, "ok");
+    assert.equal(data.accounts.total, 1);
+    assert.doesNotMatch(JSON.stringify(data), /account-0/);
+    const accounts = await client.get("/admin/accounts", admin);
+    assert.equal(accounts.data.accounts[0].authenticated, true);
+  });
+
+  it("doesn't check the sessions on every readiness probe", async () => {
+    await client.get("/readyz");
+    const before = await client.get("/admin/accounts", admin);
+    await client.get("/readyz");
+    const after = await client.get("/admin/accounts", admin);
+    assert.equal(
+      after.data.accounts[0].checkedAt,
+      before.data.accounts[0].checkedAt
+    );
+  });
+
+  it("requires the admin token for the metrics", async () => {
+    const denied = await client.get("/metrics");
+    assert.equal(denied.status, 401);
+    const { status } = await client.get("/metrics", admin);
+    assert.equal(status, 200);
+  });
+
+  it("requires an API key for messages", async () => {
+    const { status } = await client.post("/message", { message: "Hello" });
+    assert.equal(status, 401);
+  });
+
+  it("creates, uses and disables a key", async () => {
+    const created = await client.post("/admin/keys", { name: "test" }, admin);
+    assert.equal(created.status, 201);
+    const { id, key } = created.data;
+    const headers = { "X-API-Key": key };
+    const sent = await client.post(
+      "/message",
+      { message: "Hello" },
+      { headers }
+    );
+    assert.equal(sent.status, 200);
+    const { data } = await client.get("/admin/keys", admin);
+    assert.equal(data.keys[0].messagesToday, 1);
+    await client.patch(`/admin/keys/${id}`, { disabled: true }, admin);
+    const disabled = await client.post(
+      "/message",
+      { message: "Hello" },
+      { headers }
+    );
+    assert.equal(disabled.status, 403);
+  });
+
+  it("reports unknown keys as not found", async () => {
+    const missing = await client.patch(
+      "/admin/keys/999",
+      { disabled: true },
+      admin
+    );
+    assert.equal(missing.status, 404);
+    const invalid = await client.delete("/admin/keys/abc", admin);
+    assert.equal(invalid.status, 404);
+  });
+
+  it("enforces the daily quota", async () => {
+    const { data } = await client.post(
+      "/admin/keys",
+      { name: "quota", dailyMessages: 1 },
+      admin
+    );
+    const headers = { Authorization: `Bearer ${data.key}` };
+    const first = await client.post("/message", { message: "1" }, { headers });
+    assert.equal(first.status, 200);
+    const second = await client.post("/message", { message: "2" }, { headers });
+    assert.equal(second.status, 429);
+    assert.ok(second.headers["retry-after"]);
+  });
+
+  it("only shows a key its own sessions", async () => {
+    const keys = await Promise.all(
+      ["owner", "other"].map((name) =>
+        client.post("/admin/keys", { name }, admin)
+      )
+    );
+    const [owner, other] = keys.map(({ data }) => ({
+      headers: { "X-API-Key": data.key },
+    }));
+    await client.post("/message/scoped", { message: "Mine" }, owner);
+    const own = await client.get("/sessions/scoped/messages", owner);
+    assert.equal(own.status, 200);
+    assert.equal(own.data.total, 1);
+    const sessions = await client.get("/sessions", other);
+    assert.deepEqual(sessions.data.sessions, []);
+    for (const path of [
+      "/sessions/scoped/messages",
+      "/sessions/scoped/conversations",
+    ]) {
+      const { status } = await client.get(path, other);
+      assert.equal(status, 404, path);
+    }
+    const sent = await client.post(
+      "/message/scoped",
+      { message: "Yours?" },
+      other
+    );
+    assert.equal(sent.status, 404);
+  });
+
+  it("keeps exports and imports to the key", async () => {
+    const keys = await Promise.all(
+      ["exporter", "importer"].map((name) =>
+        client.post("/admin/keys", { name }, admin)
+      )
+    );
+    const [exporter, importer] = keys.map(({ data }) => ({
+      headers: { "X-API-Key": data.key },
+    }));
+    await client.post("/message/exported", { message: "Mine" }, exporter);
+    const denied = await client.get("/sessions/exported/export", importer);
+    assert.equal(denied.status, 404);
+    const { data: transcript } = await client.get(
+      "/sessions/exported/export",
+      exporter
+    );
+    const overwritten = await client.post(
+      "/sessions/exported/import?replace=true",
+      transcript,
+      importer
+    );
+    assert.equal(overwritten.status, 404);
+    const imported = await client.post(
+      "/sessions/imported/import",
+      transcript,
+      importer
+    );
+    assert.equal(imported.status, 201);
+    const copy = await client.get("/sessions/imported/messages", importer);
+    assert.equal(copy.data.total, 1);
+    const hidden = await client.get("/sessions/imported/messages", exporter);
+    assert.equal(hidden.status, 404);
+  });
+
+  it("only shows a key its own batches", async () => {
+    const keys = await Promise.all(
+      ["batcher", "onlooker"].map((name) =>
+        client.post("/admin/keys", { name }, admin)
+      )
+    );
+    const [batcher, onlooker] = keys.map(({ data }) => ({
+      headers: { "X-API-Key": data.key },
+    }));
+    const created = await client.post("/batches", ["Mine"], batcher);
+    assert.equal(created.status, 202);
+    const { id } = created.data;
+    const own = await client.get(`/batches/${id}`, batcher);
+    assert.equal(own.status, 200);
+    for (const [method, path] of [
+      ["get", `/batches/${id}`],
+      ["get", `/batches/${id}/results`],
+      ["post", `/batches/${id}/cancel`],
+    ]) {
+      const { status } = await client.request({
+        method,
+        url: path,
+        ...onlooker,
+      });
+      assert.equal(status, 404, path);
+    }
+  });
+
+  it("lists the accounts without their secrets", async () => {
+    const { status, data } = await client.get("/admin/accounts", admin);
+    assert.equal(status, 200);
+    assert.deepEqual(
+      data.accounts.map((account: { id: string }) => account.id),
+      ["account-0"]
+    );
+    assert.equal(data.accounts[0].authMode, "mock");
+    assert.equal(data.accounts[0].provider, "mock");
+    assert.equal(data.accounts[0].password, undefined);
+  });
+
+  it("rejects credentials the auth mode can't use", async () => {
+    const { status, data } = await client.patch(
+      "/admin/accounts/account-0",
+      { authMode: "sessionToken" },
+      admin
+    );
+    assert.equal(status, 400);
+    assert.match(data.message, /sessionToken/);
+    const missing = await client.patch(
+      "/admin/accounts/unknown",
+      { authMode: "mock" },
+      admin
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  it("keeps the credentials while jobs are still running", async () => {
+    const { data: key } = await client.post(
+      "/admin/keys",
+      { name: "slow" },
+      admin
+    );
+    const running = client.post(
+      "/message",
+      { message: "Slow [mock:delay=200]" },
+      { headers: { "X-API-Key": key.key } }
+    );
+    await sleep(50);
+    const { status, data } = await client.patch(
+      "/admin/accounts/account-0",
+      { authMode: "mock", drainTimeout: 0.05 },
+      admin
+    );
+    assert.equal(status, 503);
+    assert.match(data.message, /didn't finish within/);
+    assert.equal((await running).status, 200);
+  });
+
+  it("replaces the client of an account", async () => {
+    const { status, data } = await client.patch(
+      "/admin/accounts/account-0",
+      { authMode: "mock", drainTimeout: 5 },
+      admin
+    );
+    assert.equal(status, 200);
+    assert.equal(data.started, true);
+    assert.equal(data.rotating, false);
+    const { data: key } = await client.post(
+      "/admin/keys",
+      { name: "after rotation" },
+      admin
+    );
+    const sent = await client.post(
+      "/message",
+      { message: "Still there?" },
+      { headers: { "X-API-Key": key.key } }
+    );
+    assert.equal(sent.data.response, "You said: Still there?");
+  });
+});
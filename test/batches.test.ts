@@ -0,0 +1,88 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer, waitFor } from "./helpers";
+
+describe("batches", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer());
+  });
+  after(() => close());
+
+  it("rejects an empty batch", async () => {
+    const { status } = await client.post("/batches", { items: [] });
+    assert.equal(status, 400);
+  });
+
+  it("runs a batch and returns its results in order", async () => {
+    const created = await client.post("/batches", {
+      items: [
+        "First",
+        { message: "Second", customId: "b" },
+        { message: "Third", sessionId: "batch-session" },
+        { message: "Fourth", sessionId: "batch-session" },
+      ],
+    });
+    assert.equal(created.status, 202);
+    assert.equal(created.data.total, 4);
+    const progress = await waitFor(async () => {
+      const { data } = await client.get(`/batches/${created.data.id}`);
+      return data.status === "done" ? data : undefined;
+    });
+    assert.equal(progress.done, 4);
+    const { headers, data } = await client.get(
+      `/batches/${created.data.id}/results`,
+      { responseType: "text" }
+    );
+    assert.match(String(headers["content-type"]), /application\/x-ndjson/);
+    const results = data
+      .trim()
+      .split("\n")
+      .map((line: string) => JSON.parse(line));
+    assert.deepEqual(
+      results.map((result: { response: string }) => result.response),
+      [
+        "You said: First",
+        "You said: Second",
+        "You said: Third",
+        "You said: Fourth",
+      ]
+    );
+    assert.equal(results[1].customId, "b");
+    // items of one session continue the same conversation
+    assert.equal(results[2].conversationId, results[3].conversationId);
+  });
+
+  it("accepts JSONL", async () => {
+    const { status, data } = await client.post(
+      "/batches",
+      '{"message":"One"}\n\n{"message":"Two"}\n',
+      { headers: { "Content-Type": "application/x-ndjson" } }
+    );
+    assert.equal(status, 202);
+    assert.equal(data.total, 2);
+  });
+
+  it("cancels the items which haven't started", async () => {
+    const { data } = await client.post("/batches", {
+      items: Array.from(
+        { length: 20 },
+        (_, index) => `Slow ${index} [mock:delay=50]`
+      ),
+    });
+    const cancelled = await client.post(`/batches/${data.id}/cancel`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.data.status, "cancelled");
+    assert.ok(cancelled.data.cancelled > 0);
+    const again = await client.post(`/batches/${data.id}/cancel`);
+    assert.equal(again.status, 409);
+  });
+
+  it("doesn't know other batches", async () => {
+    const { status } = await client.get("/batches/unknown");
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer, waitFor } from "./helpers";
+
+describe("response cache", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer({
+      // one-time messages go to the first account while both are idle
+      ACCOUNTS: JSON.stringify([
+        { id: "small", mockModel: "small" },
+        { id: "large", mockModel: "large" },
+      ]),
+    }));
+  });
+  after(() => close());
+
+  it("answers a repeated prompt from the cache", async () => {
+    const miss = await client.post("/message", {
+      message: "Cache me",
+      cache: true,
+    });
+    assert.equal(miss.data.cache, "miss");
+    assert.equal(miss.headers["x-cache"], "MISS");
+    const hit = await client.post("/message", {
+      message: "  Cache   me ",
+      cache: true,
+    });
+    assert.equal(hit.data.cache, "hit");
+    assert.equal(hit.headers["x-cache"], "HIT");
+    assert.equal(hit.data.response, "You said: Cache me");
+  });
+
+  it("only uses the cache when asked to", async () => {
+    const { data, headers } = await client.post("/message", {
+      message: "Cache me",
+    });
+    assert.equal(data.cache, undefined);
+    assert.equal(headers["x-cache"], undefined);
+  });
+
+  it("follows Cache-Control", async () => {
+    const bypass = await client.post(
+      "/message",
+      { message: "Cache me", cache: true },
+      { headers: { "Cache-Control": "no-cache" } }
+    );
+    assert.equal(bypass.data.cache, "bypass");
+    assert.equal(bypass.headers["x-cache"], "BYPASS");
+    for (let i = 0; i < 2; i++) {
+      const { data } = await client.post(
+        "/message",
+        { message: "Don't keep me", cache: true },
+        { headers: { "Cache-Control": "no-store" } }
+      );
+      assert.equal(data.cache, "miss");
+    }
+  });
+
+  it("keeps the answers of different models apart", async () => {
+    const first = await client.post("/message", {
+      message: "Which model?",
+      cache: true,
+    });
+    assert.equal(first.data.cache, "miss");
+    // keeps the small model busy, the next message goes to the large one
+    const busy = await client.post(
+      "/message",
+      { message: "Busy [mock:delay=100]" },
+      { headers: { stream: "enable" } }
+    );
+    await waitFor(async () => {
+      const { data } = await client.get(`/message/${busy.data.messageId}`);
+      return data.status === "process";
+    });
+    const other = await client.post("/message", {
+      message: "Which model?",
+      cache: true,
+    });
+    assert.equal(other.data.cache, "miss");
+    await waitFor(async () => {
+      const { data } = await client.get(`/message/${busy.data.messageId}`);
+      return data.status === "done";
+    });
+    const again = await client.post("/message", {
+      message: "Which model?",
+      cache: true,
+    });
+    assert.equal(again.data.cache, "hit");
+  });
+});
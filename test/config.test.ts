@@ -0,0 +1,37 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { spawnSync } from "child_process";
+import { join } from "path";
+
+describe("config", () => {
+  it("refuses to start with invalid numbers", () => {
+    const { status, stderr } = spawnSync(
+      "npx",
+      ["tsx", join(__dirname, "../src/index.ts")],
+      {
+        encoding: "utf8",
+        timeout: 60 * 1000,
+        env: {
+          ...process.env,
+          AUTH_MODE: "mock",
+          ACCOUNTS: "",
+          CONFIG_FILE: "",
+          PROVIDERS: "",
+          PORT: "http",
+          MOCK_DELAY: "-1",
+          INTERACTIVE_BURST: "0",
+          BATCH_CONCURRENCY: "two",
+        },
+      }
+    );
+    assert.equal(status, 1);
+    for (const name of [
+      "PORT",
+      "MOCK_DELAY",
+      "INTERACTIVE_BURST",
+      "BATCH_CONCURRENCY",
+    ]) {
+      assert.match(stderr, new RegExp(`${name} must be`));
+    }
+  });
+});
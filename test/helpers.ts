@@ -0,0 +1,103 @@
+import axios from "axios";
+import { execFileSync } from "child_process";
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { AddressInfo } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const MIGRATIONS = join(__dirname, "../prisma/migrations");
+
+// A new database with every migration applied. prisma migrate deploy only
+// knows the database of prisma/schema.prisma, db execute takes any.
+const createDatabase = () => {
+  const dir = mkdtempSync(join(tmpdir(), "chatgpt-api-test-"));
+  const file = join(dir, "test.db");
+  const script = join(dir, "migrations.sql");
+  writeFileSync(
+    script,
+    readdirSync(MIGRATIONS, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort()
+      .map((name) => readFileSync(join(MIGRATIONS, name, "migration.sql")))
+      .join("\n")
+  );
+  execFileSync(
+    "npx",
+    ["prisma", "db", "execute", "--url", `file:${file}`, "--file", script],
+    { stdio: "inherit" }
+  );
+  return file;
+};
+
+// Starts the server against the mock on a random port with its own database.
+// Every test file runs in its own process, so each one gets a fresh server.
+// `env` is applied before src/index.ts reads the config.
+export const startServer = async (env: Record<string, string> = {}) => {
+  Object.assign(process.env, {
+    AUTH_MODE: "mock",
+    MOCK_DELAY: "1",
+    DATABASE_FILE: createDatabase(),
+    HOST: "127.0.0.1",
+    WATCHDOG_INTERVAL: "0",
+    LOG_LEVEL: "error",
+    // set, so that a local .env can't turn them on
+    ACCOUNTS: "",
+    CONFIG_FILE: "",
+    ADMIN_TOKEN: "",
+    WEBHOOK_SECRET: "",
+    WEBHOOK_ALLOWED_HOSTS: "",
+    MODERATION: "false",
+    PROVIDERS: "",
+    ...env,
+  });
+  const { main } = await import("../src/index.js");
+  const { prisma } = await import("../src/db.js");
+  const server = await main(0);
+  const { port } = server.address() as AddressInfo;
+  const client = axios.create({
+    baseURL: `http://127.0.0.1:${port}`,
+    // the tests check the status themselves
+    validateStatus: () => true,
+  });
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await prisma.$disconnect();
+  };
+  return { client, close };
+};
+
+export const sleep = (ms: number) =>
+  new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls `check` until it returns something, for jobs running in the background.
+export const waitFor = async <T>(
+  check: () => Promise<T | undefined>,
+  timeout = 5000
+) => {
+  const end = Date.now() + timeout;
+  while (Date.now() < end) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await sleep(20);
+  }
+  throw new Error(`Timed out after ${timeout}ms`);
+};
+
+// `event:`/`data:` blocks of a Server-Sent Events body.
+export const parseEvents = (body: string) =>
+  body
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const lines = block.split("\n");
+      const event = lines.find((line) => line.startsWith("event: "));
+      const data = lines.find((line) => line.startsWith("data: "))!.slice(6);
+      return {
+        event: event ? event.slice(7) : "message",
+        data: data === "[DONE]" ? data : JSON.parse(data),
+      };
+    });
@@ -0,0 +1,281 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { parseEvents, startServer, waitFor } from "./helpers";
+
+describe("messages", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer({
+      MOCK_RESPONSES: JSON.stringify({ "Who are you?": "A mock." }),
+      WEBHOOK_SECRET: "test-webhook-secret",
+    }));
+  });
+  after(() => close());
+
+  it("answers a one-time message", async () => {
+    const { status, data, headers } = await client.post("/message", {
+      message: "Hello",
+    });
+    assert.equal(status, 200);
+    assert.equal(data.response, "You said: Hello");
+    assert.ok(headers["x-request-id"]);
+  });
+
+  it("answers with the scripted response", async () => {
+    const { data } = await client.post("/message", {
+      message: "Who are you?",
+    });
+    assert.equal(data.response, "A mock.");
+  });
+
+  it("keeps the X-Request-Id of the caller", async () => {
+    const { headers } = await client.get("/", {
+      headers: { "X-Request-Id": "test-request" },
+    });
+    assert.equal(headers["x-request-id"], "test-request");
+  });
+
+  it("requires a valid priority", async () => {
+    const { status } = await client.post("/message", {
+      message: "Hello",
+      priority: "urgent",
+    });
+    assert.equal(status, 400);
+  });
+
+  it("only sends to providers an account uses", async () => {
+    const mock = await client.post("/message", {
+      message: "Hello",
+      provider: "mock",
+    });
+    assert.equal(mock.data.response, "You said: Hello");
+    const openai = await client.post("/message", {
+      message: "Hello",
+      provider: "openai",
+    });
+    assert.equal(openai.status, 400);
+    assert.match(openai.data.message, /No account uses the openai provider/);
+    const unknown = await client.post("/message", {
+      message: "Hello",
+      provider: "bing",
+    });
+    assert.equal(unknown.status, 400);
+  });
+
+  it("continues the conversation of a session", async () => {
+    await client.post("/message/session-a", { message: "First" });
+    await client.post("/message/session-a", { message: "Second" });
+    const { data } = await client.get("/sessions/session-a/messages");
+    assert.equal(data.total, 2);
+    const [first, second] = data.messages;
+    assert.equal(first.request, "First");
+    assert.equal(second.response, "You said: Second");
+    assert.equal(first.conversationId, second.conversationId);
+    const sessions = await client.get("/sessions");
+    assert.ok(
+      sessions.data.sessions.some(
+        (session: { sessionId: string }) => session.sessionId === "session-a"
+      )
+    );
+  });
+
+  it("regenerates the last answer of a session", async () => {
+    await client.post("/message/session-b", { message: "Again" });
+    const { status, data } = await client.post("/message/session-b/regenerate");
+    assert.equal(status, 200);
+    assert.equal(data.response, "You said: Again");
+    const messages = await client.get("/sessions/session-b/messages");
+    assert.deepEqual(
+      messages.data.messages.map(
+        (message: { action: string }) => message.action
+      ),
+      ["next", "variant"]
+    );
+  });
+
+  it("has nothing to regenerate in a new session", async () => {
+    const { status } = await client.post("/message/session-new/regenerate");
+    assert.equal(status, 404);
+  });
+
+  it("can't regenerate when the account of the conversation is gone", async () => {
+    await client.post("/message/session-d", { message: "Moved" });
+    const { data: transcript } = await client.get("/sessions/session-d/export");
+    transcript.conversations[0].accountId = "gone";
+    await client.post("/sessions/session-gone/import", transcript);
+    const { status, data } = await client.post(
+      "/message/session-gone/regenerate"
+    );
+    assert.equal(status, 409);
+    assert.match(data.message, /conversation to regenerate is gone/);
+  });
+
+  it("stores feedback on an answer", async () => {
+    await client.post("/message/session-c", { message: "Rate me" });
+    const messages = await client.get("/sessions/session-c/messages");
+    const { messageId } = messages.data.messages[0];
+    const invalid = await client.post(`/message/${messageId}/feedback`, {
+      rating: "great",
+    });
+    assert.equal(invalid.status, 400);
+    const { status } = await client.post(`/message/${messageId}/feedback`, {
+      rating: "thumbsDown",
+      tags: ["not-helpful"],
+    });
+    assert.equal(status, 200);
+    const rated = await client.get("/sessions/session-c/messages");
+    assert.equal(rated.data.messages[0].rating, "thumbsDown");
+  });
+
+  it("streams the answer as Server-Sent Events", async () => {
+    const { status, headers, data } = await client.post(
+      "/message",
+      { message: "Stream this please" },
+      { headers: { Accept: "text/event-stream" }, responseType: "text" }
+    );
+    assert.equal(status, 200);
+    assert.match(String(headers["content-type"]), /text\/event-stream/);
+    const events = parseEvents(data);
+    const deltas = events.filter(({ event }) => event === "message");
+    assert.ok(deltas.length > 1);
+    assert.equal(
+      deltas.map(({ data }) => data.delta).join(""),
+      "You said: Stream this please"
+    );
+    const done = events[events.length - 1];
+    assert.equal(done.event, "done");
+    assert.equal(done.data.response, "You said: Stream this please");
+  });
+
+  it("runs a message in the background", async () => {
+    const { data } = await client.post(
+      "/message",
+      { message: "Later" },
+      { headers: { stream: "enable" } }
+    );
+    assert.ok(data.messageId);
+    const state = await waitFor(async () => {
+      const { data: state } = await client.get(`/message/${data.messageId}`);
+      return state.status === "done" ? state : undefined;
+    });
+    assert.equal(state.response, "You said: Later");
+  });
+
+  it("refuses callbacks to private addresses", async () => {
+    for (const callbackUrl of [
+      "http://127.0.0.1:4000/hook",
+      "http://localhost/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://10.0.0.1/hook",
+    ]) {
+      const { status, data } = await client.post("/message", {
+        message: "Hello",
+        callbackUrl,
+      });
+      assert.equal(status, 400);
+      assert.match(data.message, /private address/);
+    }
+  });
+
+  it("aborts a running message", async () => {
+    const { data } = await client.post(
+      "/message",
+      { message: "Take your time [mock:delay=200]" },
+      { headers: { stream: "enable" } }
+    );
+    await waitFor(async () => {
+      const { data: state } = await client.get(`/message/${data.messageId}`);
+      return state.status === "process";
+    });
+    const abort = await client.post(`/message/${data.messageId}/abort`);
+    assert.equal(abort.status, 200);
+    assert.equal(abort.data.released, true);
+    await waitFor(async () => {
+      const { data: state } = await client.get(`/message/${data.messageId}`);
+      return state.status === "aborted";
+    });
+    const again = await client.post(`/message/${data.messageId}/abort`);
+    assert.equal(again.status, 409);
+  });
+
+  it("moderates a prompt", async () => {
+    const flagged = await client.post("/moderation", {
+      input: "Something bad [mock:flagged]",
+    });
+    assert.equal(flagged.status, 200);
+    assert.equal(flagged.data.flagged, true);
+    const clean = await client.post("/moderation", { input: "Hello" });
+    assert.equal(clean.data.flagged, false);
+  });
+
+  it("reports the queue and health", async () => {
+    const queue = await client.get("/queue");
+    assert.equal(queue.status, 200);
+    assert.equal(queue.data.accounts.length, 1);
+    assert.equal(queue.data.accounts[0].provider, "mock");
+    assert.deepEqual(Object.keys(queue.data.accounts[0].lanes), [
+      "interactive",
+      "batch",
+    ]);
+    const health = await client.get("/healthz");
+    assert.equal(health.status, 200);
+    const ready = await client.get("/readyz");
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.data.accounts, {
+      total: 1,
+      started: 1,
+      healthy: 1,
+      authenticated: 1,
+    });
+  });
+
+  it("exports a session and imports it elsewhere", async () => {
+    await client.post("/message/session-d", { message: "Keep me" });
+    const { data: transcript } = await client.get("/sessions/session-d/export");
+    assert.equal(transcript.messages.length, 1);
+    const imported = await client.post(
+      "/sessions/session-e/import",
+      transcript
+    );
+    assert.equal(imported.status, 201);
+    const conflict = await client.post(
+      "/sessions/session-e/import",
+      transcript
+    );
+    assert.equal(conflict.status, 409);
+    const { data } = await client.get("/sessions/session-e/messages");
+    assert.equal(data.messages[0].response, "You said: Keep me");
+  });
+
+  it("starts a new conversation in a session", async () => {
+    await client.post("/message/session-f", { message: "One" });
+    const created = await client.post("/sessions/session-f/conversations", {});
+    assert.equal(created.status, 200);
+    await client.post("/message/session-f", { message: "Two" });
+    const { data } = await client.get("/sessions/session-f/conversations");
+    assert.equal(data.conversations.length, 2);
+  });
+
+  it("forgets the conversations of a session", async () => {
+    await client.post("/message/session-g", { message: "Bye" });
+    const { status } = await client.delete("/message/session-g");
+    assert.equal(status, 200);
+    const { data } = await client.get("/sessions/session-g/conversations");
+    assert.equal(data.conversations.length, 0);
+  });
+
+  // last, a 429 marks the account unhealthy for a while
+  it("reports errors of ChatGPT", async () => {
+    const { status, data } = await client.post("/message", {
+      message: "Too fast [mock:429]",
+    });
+    assert.equal(status, 500);
+    assert.match(data.error, /429/);
+    const { data: queue } = await client.get("/queue");
+    assert.equal(queue.accounts[0].healthy, false);
+  });
+});
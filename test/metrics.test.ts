@@ -0,0 +1,45 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer } from "./helpers";
+
+describe("metrics", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer());
+  });
+  after(() => close());
+
+  it("exposes Prometheus metrics", async () => {
+    await client.post("/message", { message: "Count me" });
+    await client.post("/message", { message: "Too fast [mock:429]" });
+    const { status, headers, data } = await client.get("/metrics", {
+      responseType: "text",
+    });
+    assert.equal(status, 200);
+    assert.match(String(headers["content-type"]), /text\/plain/);
+    for (const line of [
+      'chatgpt_queue_depth{account="account-0",priority="interactive"} 0',
+      'chatgpt_queue_running{account="account-0"} 0',
+      'chatgpt_response_time_seconds_count{account="account-0"} 1',
+      'chatgpt_queue_wait_seconds_count{account="account-0",priority="interactive"} 2',
+      'chatgpt_errors_total{account="account-0",status_code="429"} 1',
+    ]) {
+      assert.ok(data.includes(line), `missing ${line}`);
+    }
+    assert.match(data, /^process_cpu_seconds_total /m);
+  });
+
+  it("doesn't count messages as session refreshes", async () => {
+    await client.post("/message", { message: "Not a refresh" });
+    const { data } = await client.get("/metrics", { responseType: "text" });
+    for (const line of [
+      'chatgpt_session_refreshes_total{account="account-0"} 0',
+      'chatgpt_session_resets_total{account="account-0"} 0',
+    ]) {
+      assert.ok(data.includes(line), `missing ${line}`);
+    }
+  });
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert";
+import { describe, it } from "node:test";
+import { execFileSync } from "child_process";
+import { existsSync, mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+describe("migrate", () => {
+  it("migrates the database of CONFIG_FILE", () => {
+    const dir = mkdtempSync(join(tmpdir(), "chatgpt-api-test-"));
+    const file = join(dir, "config.db");
+    const configFile = join(dir, "config.json");
+    writeFileSync(configFile, JSON.stringify({ databaseFile: file }));
+    const migrate = () =>
+      execFileSync("npx", ["tsx", join(__dirname, "../src/migrate.ts")], {
+        encoding: "utf8",
+        // set, so that a local .env can't move the database
+        env: {
+          ...process.env,
+          CONFIG_FILE: configFile,
+          DATABASE_FILE: "",
+          DATABASE_URL: "",
+        },
+      });
+    migrate();
+    assert.ok(existsSync(file));
+    assert.match(migrate(), /No pending migrations to apply/);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { parseEvents, startServer } from "./helpers";
+
+describe("/v1/chat/completions", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer());
+  });
+  after(() => close());
+
+  it("requires messages", async () => {
+    const { status, data } = await client.post("/v1/chat/completions", {
+      messages: [],
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error.param, "messages");
+  });
+
+  it("rejects providers no account uses", async () => {
+    const { status, data } = await client.post("/v1/chat/completions", {
+      messages: [{ role: "user", content: "Hi" }],
+      provider: "openai",
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error.param, "provider");
+  });
+
+  it("answers a completion", async () => {
+    const { status, data } = await client.post("/v1/chat/completions", {
+      model: "gpt-3.5-turbo",
+      messages: [{ role: "user", content: "Hi there" }],
+    });
+    assert.equal(status, 200);
+    assert.equal(data.object, "chat.completion");
+    assert.equal(data.model, "gpt-3.5-turbo");
+    assert.equal(data.choices[0].message.role, "assistant");
+    assert.match(data.choices[0].message.content, /Hi there/);
+    assert.equal(data.choices[0].finish_reason, "stop");
+  });
+
+  it("streams a completion", async () => {
+    const { status, data } = await client.post(
+      "/v1/chat/completions",
+      {
+        messages: [{ role: "user", content: "Stream it" }],
+        stream: true,
+      },
+      { responseType: "text" }
+    );
+    assert.equal(status, 200);
+    const events = parseEvents(data);
+    assert.equal(events[events.length - 1].data, "[DONE]");
+    const chunks = events.slice(0, -1).map(({ data }) => data);
+    assert.deepEqual(chunks[0].choices[0].delta, { role: "assistant" });
+    assert.equal(chunks[chunks.length - 1].choices[0].finish_reason, "stop");
+    const content = chunks
+      .map((chunk) => chunk.choices[0].delta.content || "")
+      .join("");
+    assert.match(content, /Stream it/);
+  });
+
+  it("continues the conversation of `user`", async () => {
+    await client.post("/v1/chat/completions", {
+      messages: [{ role: "user", content: "One" }],
+      user: "openai-session",
+    });
+    await client.post("/v1/chat/completions", {
+      messages: [
+        { role: "user", content: "One" },
+        { role: "assistant", content: "You said: One" },
+        { role: "user", content: "Two" },
+      ],
+      user: "openai-session",
+    });
+    const { data } = await client.get("/sessions/openai-session/messages");
+    assert.equal(data.total, 2);
+    assert.equal(
+      data.messages[0].conversationId,
+      data.messages[1].conversationId
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer } from "./helpers";
+
+describe("templates", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer());
+  });
+  after(() => close());
+
+  it("creates a template and lists its variables", async () => {
+    const { status, data } = await client.post("/templates", {
+      name: "translate",
+      content: "Translate to {{language}}: {{ text }}",
+      defaults: { language: "French" },
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(data.variables, [
+      { name: "language", required: false, default: "French" },
+      { name: "text", required: true, default: null },
+    ]);
+    const conflict = await client.post("/templates", {
+      name: "translate",
+      content: "Other",
+    });
+    assert.equal(conflict.status, 409);
+  });
+
+  it("rejects defaults of unknown variables", async () => {
+    const { status } = await client.post("/templates", {
+      name: "broken",
+      content: "Hello {{name}}",
+      defaults: { other: "x" },
+    });
+    assert.equal(status, 400);
+  });
+
+  it("runs a template with its defaults", async () => {
+    const { status, data } = await client.post("/templates/translate/run", {
+      variables: { text: "Good morning" },
+    });
+    assert.equal(status, 200);
+    assert.equal(data.response, "You said: Translate to French: Good morning");
+  });
+
+  it("requires every variable without a default", async () => {
+    const missing = await client.post("/templates/translate/run", {
+      variables: {},
+    });
+    assert.equal(missing.status, 400);
+    assert.match(missing.data.message, /Missing variables: text/);
+    const unknown = await client.post("/templates/translate/run", {
+      variables: { text: "Hi", tone: "formal" },
+    });
+    assert.equal(unknown.status, 400);
+    const notFound = await client.post("/templates/nothing/run", {});
+    assert.equal(notFound.status, 404);
+  });
+
+  it("runs a template in a session and counts its uses", async () => {
+    await client.post("/templates/translate/run", {
+      variables: { text: "Thank you", language: "German" },
+      sessionId: "template-session",
+    });
+    const { data } = await client.get("/sessions/template-session/messages");
+    assert.equal(data.messages[0].request, "Translate to German: Thank you");
+    const template = await client.get("/templates/translate");
+    assert.equal(template.data.uses, 2);
+  });
+
+  it("updates and deletes a template", async () => {
+    const updated = await client.patch("/templates/translate", {
+      content: "Say {{text}}",
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.data.variables, [
+      { name: "text", required: true, default: null },
+    ]);
+    const deleted = await client.delete("/templates/translate");
+    assert.equal(deleted.status, 200);
+    const { status } = await client.get("/templates/translate");
+    assert.equal(status, 404);
+    const { data } = await client.get("/sessions/template-session/messages");
+    assert.equal(data.messages.length, 1);
+  });
+});
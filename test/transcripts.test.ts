@@ -0,0 +1,88 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { startServer } from "./helpers";
+
+describe("transcripts", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+
+  before(async () => {
+    ({ client, close } = await startServer());
+    await client.post("/message/transcript", { message: "Hello there" });
+    await client.post("/message/transcript", { message: "And again" });
+  });
+  after(() => close());
+
+  it("exports a session as markdown", async () => {
+    const { status, headers, data } = await client.get(
+      "/sessions/transcript/export?format=md",
+      { responseType: "text" }
+    );
+    assert.equal(status, 200);
+    assert.match(String(headers["content-type"]), /text\/markdown/);
+    assert.match(
+      String(headers["content-disposition"]),
+      /filename="transcript.md"/
+    );
+    assert.match(data, /^# Session transcript$/m);
+    assert.match(data, /^## Hello there \(`/m);
+    assert.match(data, /^You said: And again$/m);
+  });
+
+  it("exports a session as JSONL and imports it again", async () => {
+    const { status, headers, data } = await client.get(
+      "/sessions/transcript/export?format=jsonl",
+      { responseType: "text" }
+    );
+    assert.equal(status, 200);
+    assert.match(String(headers["content-type"]), /application\/x-ndjson/);
+    const lines = data
+      .trim()
+      .split("\n")
+      .map((line: string) => JSON.parse(line));
+    assert.deepEqual(
+      lines.map((line: { type: string }) => line.type),
+      ["session", "conversation", "message", "message"]
+    );
+    const imported = await client.post(
+      "/sessions/transcript-copy/import",
+      data,
+      {
+        headers: { "Content-Type": "application/x-ndjson" },
+      }
+    );
+    assert.equal(imported.status, 201);
+    const copy = await client.get("/sessions/transcript-copy/messages");
+    assert.equal(copy.data.messages.length, 2);
+  });
+
+  it("rejects an unknown format", async () => {
+    const { status } = await client.get(
+      "/sessions/transcript/export?format=pdf"
+    );
+    assert.equal(status, 400);
+  });
+
+  it("only imports ratings the feedback route accepts", async () => {
+    const { data: transcript } = await client.get(
+      "/sessions/transcript/export"
+    );
+    transcript.messages[0].feedback = { rating: "great", tags: [] };
+    const { status, data } = await client.post(
+      "/sessions/transcript-rated/import",
+      transcript
+    );
+    assert.equal(status, 400);
+    assert.match(
+      data.message,
+      /messages\[0\]\.feedback: rating must be one of/
+    );
+    transcript.messages[0].feedback = { rating: "thumbsUp", tags: [] };
+    const valid = await client.post(
+      "/sessions/transcript-rated/import",
+      transcript
+    );
+    assert.equal(valid.status, 201);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert";
+import { after, before, describe, it } from "node:test";
+import { AxiosInstance } from "axios";
+import { createHmac } from "crypto";
+import { createServer, IncomingHttpHeaders, Server } from "http";
+import { AddressInfo } from "net";
+import { startServer, waitFor } from "./helpers";
+
+const WEBHOOK_SECRET = "test-webhook-secret";
+
+interface Delivery {
+  path: string;
+  headers: IncomingHttpHeaders;
+  body: string;
+}
+
+// Receives the callbacks: /ok answers 200, /flaky 500 once and then 200,
+// /reject always 400.
+const startReceiver = async () => {
+  const deliveries: Delivery[] = [];
+  const server: Server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      deliveries.push({ path: req.url!, headers: req.headers, body });
+      const attempts = deliveries.filter(({ path }) => path === req.url);
+      res.statusCode =
+        req.url === "/reject"
+          ? 400
+          : req.url === "/flaky" && attempts.length === 1
+          ? 500
+          : 200;
+      res.end();
+    });
+  });
+  await new Promise<void>((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve())
+  );
+  const { port } = server.address() as AddressInfo;
+  return {
+    url: `http://127.0.0.1:${port}`,
+    deliveries,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+describe("completion callbacks", () => {
+  let client: AxiosInstance;
+  let close: () => Promise<void>;
+  let receiver: Awaited<ReturnType<typeof startReceiver>>;
+
+  before(async () => {
+    receiver = await startReceiver();
+    ({ client, close } = await startServer({
+      WEBHOOK_SECRET,
+      WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+    }));
+  });
+  after(async () => {
+    await close();
+    await receiver.close();
+  });
+
+  const getDeliveries = async (messageId: string, status: string) =>
+    waitFor(async () => {
+      const { data } = await client.get(`/message/${messageId}/webhook`);
+      return data.deliveries[0]?.status === status
+        ? data.deliveries
+        : undefined;
+    });
+
+  it("posts the signed result to the callback URL", async () => {
+    const { status, data } = await client.post("/message", {
+      message: "Call me back",
+      callbackUrl: `${receiver.url}/ok`,
+    });
+    assert.equal(status, 200);
+    await getDeliveries(data.messageId, "delivered");
+    const delivery = receiver.deliveries.find(
+      ({ body }) => JSON.parse(body).messageId === data.messageId
+    )!;
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, "message.done");
+    assert.equal(payload.response, "You said: Call me back");
+    assert.equal(delivery.headers["x-webhook-event"], "message.done");
+    const timestamp = delivery.headers["x-timestamp"];
+    const signature = createHmac("sha256", WEBHOOK_SECRET)
+      .update(`${timestamp}.${delivery.body}`)
+      .digest("hex");
+    assert.equal(delivery.headers["x-signature"], `sha256=${signature}`);
+  });
+
+  it("reports failed messages", async () => {
+    const { data } = await client.post("/message", {
+      message: "Fail [mock:403]",
+      callbackUrl: `${receiver.url}/ok`,
+    });
+    await getDeliveries(data.messageId, "delivered");
+    const delivery = receiver.deliveries.find(
+      ({ body }) => JSON.parse(body).messageId === data.messageId
+    )!;
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, "message.error");
+    assert.match(payload.error, /403/);
+  });
+
+  it("retries failed deliveries", async () => {
+    const { data } = await client.post("/message", {
+      message: "Try again",
+      callbackUrl: `${receiver.url}/flaky`,
+    });
+    const [delivery] = await getDeliveries(data.messageId, "delivered");
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.lastStatus, 200);
+  });
+
+  it("doesn't retry deliveries the receiver rejects", async () => {
+    const { data } = await client.post("/message", {
+      message: "Rejected",
+      callbackUrl: `${receiver.url}/reject`,
+    });
+    const [delivery] = await getDeliveries(data.messageId, "failed");
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastStatus, 400);
+  });
+
+  it("rejects a callback for an event stream", async () => {
+    const { status, data } = await client.post(
+      "/message",
+      { message: "Stream it", callbackUrl: `${receiver.url}/ok` },
+      { headers: { Accept: "text/event-stream" } }
+    );
+    assert.equal(status, 400);
+    assert.match(data.message, /event stream/);
+  });
+
+  it("only posts to the allowed hosts", async () => {
+    for (const callbackUrl of [
+      "https://example.com/hook",
+      "http://localhost/hook",
+      "ftp://127.0.0.1/hook",
+    ]) {
+      const { status } = await client.post("/message", {
+        message: "Hello",
+        callbackUrl,
+      });
+      assert.equal(status, 400);
+    }
+  });
+});